@@ -2,8 +2,12 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 
 async function checkTransaction() {
-  // The transaction hash to check
-  const txHash = '0xe3f0266bcb2f70ec3d321ca0aa524bc5e7680b241106f52762a72cd2fd4b3e5c';
+  // The transaction hash to check. To run it through donation processing use: node replay-webhook.js tx <txHash>
+  const txHash = process.argv[2];
+  if (!txHash) {
+    console.log('Usage: node check-specific-tx.js <txHash>');
+    return;
+  }
   
   console.log(`Checking specific transaction: ${txHash}...`);
   
@@ -363,7 +363,11 @@ class BlockchainWatcher {
           // For WETH, unwrap to ETH value and then convert to USDC
           // First adjust for decimal difference between WETH (18) and ETH (18)
           const ethEquivalent = value;
-          usdcEquivalent = priceFeed.convertEthToUsdc(ethEquivalent);
+          usdcEquivalent = await priceFeed.convertToUsdc('ETH', ethEquivalent, 18);
+          if (usdcEquivalent === null) {
+            console.log(\`No fresh ETH price available to value WETH transfer \${txHash}. Skipping.\`);
+            return;
+          }
           console.log(\`Received \${ethers.formatUnits(value, tokenDecimals)} WETH = \${usdcEquivalent / BigInt(1e6)} USDC\`);
         } else {
           // For other tokens, attempt to get a price but fallback to not processing if we can't
@@ -438,7 +442,11 @@ class BlockchainWatcher {
       
       if (assetType === 'ETH') {
         // Convert ETH to USDC for donation calculation
-        usdcEquivalent = priceFeed.convertEthToUsdc(valueAmount);
+        usdcEquivalent = await priceFeed.convertToUsdc('ETH', valueAmount, 18);
+        if (usdcEquivalent === null) {
+          console.log(\`No fresh ETH price available to value \${assetType} transfer \${txHash}. Skipping.\`);
+          continue;
+        }
         console.log(\`Transaction value: \${ethers.formatEther(valueAmount)} ETH = \${usdcEquivalent / BigInt(1e6)} USDC\`);
       } else if (assetType === 'USDC') {
         // Already in USDC, use directly
@@ -446,7 +454,11 @@ class BlockchainWatcher {
         console.log(\`Transaction value: \${valueAmount / BigInt(1e6)} USDC\`);
       } else if (assetType === 'WETH') {
         // Same as ETH in value
-        usdcEquivalent = priceFeed.convertEthToUsdc(valueAmount);
+        usdcEquivalent = await priceFeed.convertToUsdc('ETH', valueAmount, 18);
+        if (usdcEquivalent === null) {
+          console.log(\`No fresh ETH price available to value \${assetType} transfer \${txHash}. Skipping.\`);
+          continue;
+        }
         console.log(\`Transaction value: \${ethers.formatEther(valueAmount)} WETH = \${usdcEquivalent / BigInt(1e6)} USDC\`);
       } else {
         // Unsupported asset type
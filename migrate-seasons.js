@@ -0,0 +1,32 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const seasonMigration = require('./src/services/seasonMigration');
+
+// Convert legacy season_records into the typed Season shape.
+// The watcher also runs this on startup and with the season goal job.
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  try {
+    // Connect to the database
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    console.log(`Migrating season records${dryRun ? ' (dry run, nothing will be written)' : ''}...`);
+    const result = await seasonMigration.run({ dryRun });
+
+    console.log('\nSeason Migration:');
+    console.log('=================');
+    console.log(`Migrated: ${result.migrated}`);
+    console.log(`Skipped (no goal or address): ${result.skipped}`);
+    console.log(`Errors: ${result.errors}`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    // Disconnect from database
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+main().catch(console.error);
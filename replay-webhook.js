@@ -0,0 +1,57 @@
+// Replay webhook payloads through the running server's admin API.
+//
+// Usage:
+//   node replay-webhook.js tx <txHash>                    Build a payload from an on-chain transaction
+//   node replay-webhook.js inbox <inboxItemId>            Replay one stored delivery
+//   node replay-webhook.js stream <streamId> <from> [to]  Replay stored deliveries for a stream (ISO dates)
+//
+// Requires ADMIN_API_KEY. Set REPLAY_SERVER_URL if the server is not on localhost.
+require('dotenv').config();
+const axios = require('axios');
+
+const serverUrl = process.env.REPLAY_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node replay-webhook.js tx <txHash>');
+  console.log('  node replay-webhook.js inbox <inboxItemId>');
+  console.log('  node replay-webhook.js stream <streamId> <from> [to]');
+  process.exit(1);
+}
+
+async function replay() {
+  const [command, ...args] = process.argv.slice(2);
+
+  let request;
+  if (command === 'tx' && args[0]) {
+    request = { url: `/api/admin/replay/tx/${args[0]}` };
+  } else if (command === 'inbox' && args[0]) {
+    request = { url: `/api/admin/replay/inbox/${args[0]}` };
+  } else if (command === 'stream' && args[0] && args[1]) {
+    request = { url: '/api/admin/replay/stream', data: { streamId: args[0], from: args[1], to: args[2] } };
+  } else {
+    usage();
+  }
+
+  if (!process.env.ADMIN_API_KEY) {
+    console.error('ADMIN_API_KEY must be set');
+    process.exit(1);
+  }
+
+  try {
+    const response = await axios({
+      method: 'post',
+      baseURL: serverUrl,
+      url: request.url,
+      data: request.data,
+      headers: { 'x-admin-key': process.env.ADMIN_API_KEY },
+      timeout: 5 * 60 * 1000
+    });
+    console.log(JSON.stringify(response.data, null, 2));
+  } catch (error) {
+    console.error('Replay failed:', error.response ? error.response.data : error.message);
+    process.exit(1);
+  }
+}
+
+replay();
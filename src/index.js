@@ -2,6 +2,9 @@ const { connectDB } = require('./services/database');
 const blockchainService = require('./services/blockchain');
 const priceFeed = require('./services/priceFeed');
 const moralisWatcher = require('./services/moralisWatcher');
+const webhookInbox = require('./services/webhookInbox');
+const seasonMigration = require('./services/seasonMigration');
+const scheduler = require('./utils/scheduler');
 const { startExpressServer } = require('./server'); // Import the Express server
 require('dotenv').config();
 
@@ -19,6 +22,9 @@ async function startWatcherService() {
     await connectDB();
     console.log('Connected to MongoDB');
     
+    // Convert legacy season records before anything reads seasons
+    await seasonMigration.run();
+    
     // Initialize blockchain service
     await blockchainService.init();
     console.log('Blockchain service initialized');
@@ -31,6 +37,14 @@ async function startWatcherService() {
     await moralisWatcher.init();
     console.log('Moralis transaction watcher started');
     
+    // Process stored webhook deliveries now that watched wallets are loaded
+    webhookInbox.start();
+    
+    // Complete and expire seasons on a schedule (shadow mode leaves seasons alone)
+    if (!blockchainService.dryRun) {
+      scheduler.startSeasonGoalJob();
+    }
+    
     console.log('EON Transaction Watcher Service is running');
     
     // Keep the process running
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Schema for the last block a chain scanner has fully processed, so scanning
+// resumes where it stopped after a restart instead of skipping the gap.
+const blockCheckpointSchema = new mongoose.Schema({
+  name: {                       // Scanner the checkpoint belongs to (e.g. backfill)
+    type: String,
+    required: true,
+    unique: true
+  },
+  blockNumber: {                // Last block whose transfers were all handled
+    type: Number,
+    required: true
+  }
+}, {
+  collection: 'block_checkpoints',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+module.exports = mongoose.model('BlockCheckpoint', blockCheckpointSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Schema for donations waiting to be sent to the EON contract.
+// Each document survives restarts so nothing detected by the watcher is lost
+// between detection and the on-chain donate() call.
+const donationQueueItemSchema = new mongoose.Schema({
+  // Source transaction that triggered this donation
+  txHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {                   // Log index of the source transfer (-1 for native transfers)
+    type: Number,
+    default: -1
+  },
+  configId: String,             // Wallet configuration that produced the donation
+  contractAddress: {            // EON contract the donation will be sent through
+    type: String,
+    lowercase: true
+  },
+  // Donation payload as built by processERC20Transfer / checkTransaction
+  donation: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Lifecycle state
+  //   waiting_for_price - held until a trustworthy price values it (see donation.pricing)
+  //   queued     - waiting to be claimed by a worker
+  //   submitting - claimed and about to be (or being) broadcast
+  //   submitted  - broadcast, waiting for the receipt
+  //   confirmed  - receipt received, TransactionRecord updated
+  //   failed     - gave up, see error
+  state: {
+    type: String,
+    enum: ['waiting_for_price', 'queued', 'submitting', 'submitted', 'confirmed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Lease information for the worker currently holding this item
+  lockedBy: String,
+  leaseExpiresAt: Date,
+  // Chain head when the item entered 'submitting', used to reconcile after a crash
+  submittingFromBlock: Number,
+  // Room reserved under the wallet's season goal for this donation
+  //   held      - counted in the season's reservedUnits
+  //   committed - moved into the season's donatedUnits when the donation confirmed
+  //   released  - given back to the season when the donation failed
+  reservation: {
+    seasonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season'
+    },
+    units: String,              // USDC amount (smallest unit) reserved
+    state: {
+      type: String,
+      enum: ['held', 'committed', 'released']
+    }
+  },
+  priceCheckedAt: Date,         // Last time a price was looked for while waiting_for_price
+  submittedAmount: String,      // USDC amount (smallest unit) actually sent after season adjustment
+  donationTxHash: String,       // Hash of the donate() transaction once broadcast
+  submittedAt: Date,
+  confirmedAt: Date,
+  error: String
+}, {
+  collection: 'donation_queue',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+// Idempotency key: a source transfer can only be queued once per configuration
+donationQueueItemSchema.index({ txHash: 1, logIndex: 1, configId: 1 }, { unique: true });
+
+// Indexes for claiming work and recovering in-flight items
+donationQueueItemSchema.index({ state: 1, createdAt: 1 });
+donationQueueItemSchema.index({ state: 1, leaseExpiresAt: 1 });
+donationQueueItemSchema.index({ 'reservation.seasonId': 1, 'reservation.state': 1 });
+
+module.exports = mongoose.model('DonationQueueItem', donationQueueItemSchema);
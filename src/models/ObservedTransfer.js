@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Schema for incoming transfers seen in stream webhooks (or by the RPC poller),
+// tracked until they are final. Moralis delivers every event twice: first
+// unconfirmed, then with confirmed: true. Donations are only enqueued once a transfer is confirmed, so
+// a reorged transfer never triggers a real donation.
+const observedTransferSchema = new mongoose.Schema({
+  txHash: {
+    type: String,
+    required: true
+  },
+  // Log index of the transfer within txHash (-1 for native transfers)
+  logIndex: {
+    type: Number,
+    default: -1
+  },
+  kind: {
+    type: String,
+    enum: ['erc20', 'native'],
+    required: true
+  },
+  tokenAddress: String,         // Token contract for ERC20 transfers
+  from: String,
+  to: String,                   // Watched wallet receiving the transfer
+  value: String,                // Value in wei/smallest unit
+  // Block the transfer was reported in (may change if it is re-included after a reorg)
+  blockNumber: Number,
+  blockHash: String,
+  blockTimestamp: Number,
+  streamId: String,
+  // Status information
+  //   provisional - seen unconfirmed, waiting for the confirmed webhook or enough blocks
+  //   confirmed   - final, handed to the donation pipeline
+  //   cancelled   - the transaction disappeared from the chain (reorged out or reverted)
+  status: {
+    type: String,
+    enum: ['provisional', 'confirmed', 'cancelled'],
+    default: 'provisional'
+  },
+  confirmedBy: {                // What confirmed it: the confirmed webhook, block depth or the backfill scan
+    type: String,
+    enum: ['webhook', 'blocks', 'backfill']
+  },
+  confirmedAt: Date,
+  cancelledAt: Date,
+  cancelReason: String
+}, {
+  collection: 'observed_transfers',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+// One record per transfer
+observedTransferSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+observedTransferSchema.index({ status: 1, createdAt: 1 });
+
+const ObservedTransfer = mongoose.model('ObservedTransfer', observedTransferSchema);
+
+// Shadow mode (DRY_RUN=true) confirms transfers in its own collection, so a shadow
+// instance sharing the database never makes the live pipeline skip a transfer
+ObservedTransfer.Shadow = mongoose.model('ShadowObservedTransfer', observedTransferSchema, 'shadow_observed_transfers');
+
+module.exports = ObservedTransfer;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Schema for transactions sent by an executor wallet, keyed by nonce.
+// Persisting them lets us pick up stuck transactions again after a restart
+// and replace them with higher fees.
+const pendingTransactionSchema = new mongoose.Schema({
+  signer: {                     // Address of the executor wallet that signed the transaction
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  nonce: {
+    type: Number,
+    required: true
+  },
+  // Transaction request, kept so it can be re-signed with bumped fees
+  to: String,
+  data: String,
+  value: {
+    type: String,
+    default: '0'
+  },
+  gasLimit: String,
+  // EIP-1559 fees of the most recent broadcast (wei, as strings for BigInt compatibility)
+  maxFeePerGas: String,
+  maxPriorityFeePerGas: String,
+  // Every hash broadcast for this nonce, oldest first
+  hashes: [String],
+  replacements: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  // Status information
+  //   pending - broadcast, not mined yet
+  //   mined   - one of the hashes was mined (see minedHash)
+  //   dropped - the nonce was consumed by a transaction we don't know about
+  status: {
+    type: String,
+    enum: ['pending', 'mined', 'dropped'],
+    default: 'pending'
+  },
+  minedHash: String,
+  blockNumber: Number
+}, {
+  collection: 'pending_transactions',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+// One record per signer and nonce
+pendingTransactionSchema.index({ signer: 1, nonce: 1 }, { unique: true });
+pendingTransactionSchema.index({ signer: 1, status: 1 });
+pendingTransactionSchema.index({ hashes: 1 });
+
+module.exports = mongoose.model('PendingTransaction', pendingTransactionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Schema for cached one-minute USD price candles, so a transfer can be valued
+// at its block time even when it is processed much later (queue backlog,
+// backfill, replay) without asking the price API again.
+const priceCandleSchema = new mongoose.Schema({
+  asset: {                      // ETH, or coingecko:<id> for tokens priced on CoinGecko
+    type: String,
+    required: true
+  },
+  time: {                       // Start of the minute (unix seconds)
+    type: Number,
+    required: true
+  },
+  price: {                      // Closing USD price of the minute
+    type: Number,
+    required: true
+  },
+  source: {                     // API the candle came from
+    type: String,
+    required: true
+  }
+}, {
+  collection: 'price_candles',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+// One candle per asset and minute
+priceCandleSchema.index({ asset: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('PriceCandle', priceCandleSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Season lifecycle
+//   draft     - created but not started yet, donations are not capped by it
+//   active    - donations count towards the goal
+//   completed - goal reached
+//   cancelled - stopped by the user before the goal was reached
+//   expired   - endDate passed before the goal was reached
+const SEASON_STATUSES = ['draft', 'active', 'completed', 'cancelled', 'expired'];
+
+// Allowed status changes (a completed season can be reset to active)
+const SEASON_TRANSITIONS = {
+  draft: ['active', 'cancelled'],
+  active: ['completed', 'cancelled', 'expired'],
+  completed: ['active'],
+  cancelled: [],
+  expired: []
+};
+
+// Typed view of a season in season_records. Legacy records written before
+// this schema are converted by the season migration (schemaVersion 1);
+// unmigrated records are ignored by season logic.
+const seasonSchema = new mongoose.Schema({
+  walletAddress: {              // Wallet whose donations count towards the goal
+    type: String,
+    required: true,
+    lowercase: true,
+    match: /^0x[0-9a-f]{40}$/
+  },
+  fid: Number,                  // Farcaster id for notifications
+  status: {
+    type: String,
+    enum: SEASON_STATUSES,
+    default: 'draft'
+  },
+  // Kept in sync with status (active === status 'active') for readers of the legacy field
+  active: {
+    type: Boolean,
+    default: false
+  },
+  // Goal in USDC base units (6 decimals, 1 USD = 1,000,000 units)
+  goalUnits: {
+    type: String,
+    required: true,
+    validate: {
+      validator: value => /^\d+$/.test(value) && BigInt(value) > 0n,
+      message: 'goalUnits must be a positive integer amount of USDC base units'
+    }
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {                    // Optional, the season runs until its goal is met otherwise
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || !this.startDate || value > this.startDate;
+      },
+      message: 'endDate must be after startDate'
+    }
+  },
+  // Running total of confirmed donations, incremented as each donation confirms.
+  // USDC base units as a Number (exact up to 2^53 units, about $9 billion).
+  donatedUnits: {
+    type: Number,
+    default: 0
+  },
+  donationCount: {
+    type: Number,
+    default: 0
+  },
+  // Room held under the goal by donations still in the queue (USDC base units)
+  reservedUnits: {
+    type: Number,
+    default: 0
+  },
+  totalsRebuiltAt: Date,        // Last time the total was rebuilt from transaction_records; unset until the first rebuild
+  // Donation settings read by the watcher
+  percentAmount: Number,
+  target: String,
+  authorized: String,
+  lastDonation: Number,         // Unix seconds of the last donation
+  // Start a new season with the same settings when this one completes or expires.
+  // enabled unset follows SEASON_AUTO_ROLLOVER; goalUnits unset keeps this season's goal.
+  rollover: {
+    enabled: Boolean,
+    goalUnits: {
+      type: String,
+      validate: {
+        validator: value => value === undefined || value === null || (/^\d+$/.test(value) && BigInt(value) > 0n),
+        message: 'rollover.goalUnits must be a positive integer amount of USDC base units'
+      }
+    }
+  },
+  previousSeasonId: {           // Season this one rolled over from
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  nextSeasonId: {               // Season this one rolled over into
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
+  completedAt: Date,
+  cancelledAt: Date,
+  expiredAt: Date,
+  // Legacy fields kept in sync with status for readers of the old shape
+  completed: Boolean,           // status === 'completed'
+  completedDate: Date,          // Same as completedAt
+  lastUpdated: Date,            // Last status change
+  schemaVersion: Number         // 1 once the record follows this schema
+}, {
+  collection: 'season_records',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+seasonSchema.index({ walletAddress: 1, startDate: -1 });
+seasonSchema.index({ status: 1, endDate: 1 });
+// A season rolls over at most once
+seasonSchema.index({ previousSeasonId: 1 }, { unique: true, partialFilterExpression: { previousSeasonId: { $exists: true } } });
+
+seasonSchema.statics.STATUSES = SEASON_STATUSES;
+seasonSchema.statics.TRANSITIONS = SEASON_TRANSITIONS;
+
+module.exports = mongoose.model('Season', seasonSchema);
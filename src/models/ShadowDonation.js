@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Schema for donations computed while running with DRY_RUN=true.
+// Kept apart from transaction_records so shadow traffic never counts
+// towards season goals or blocks a real donation later.
+const shadowDonationSchema = new mongoose.Schema({
+  // Source transfer, same idempotency key as TransactionRecord
+  txHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    default: -1
+  },
+  configId: String,
+  // Original transaction details
+  originalTransaction: {
+    from: String,         // Original sender
+    to: String,           // Original recipient (watched wallet)
+    value: String,        // Original value in wei/smallest unit
+    assetType: String,    // ETH, USDC, WETH, etc.
+    usdcValue: String,    // Value converted to USDC (in smallest unit)
+    usdPrice: Number,     // USD price of one token at block time used for the conversion
+    priceSource: String,  // Where the price came from (peg, candle:<api>, oracle:chainlink)
+    priceTimestamp: Number // Time the price applies to (unix seconds)
+  },
+  // Donation the live pipeline would have sent
+  donation: {
+    from: String,               // Donation sender (watched wallet)
+    to: String,                 // Donation recipient
+    computedAmount: String,     // Amount from the percentage logic (USDC smallest unit)
+    amount: String,             // Amount after the season goal check
+    percentAmount: Number,      // Percentage of original transaction
+    contractAddress: String     // EON contract that was simulated against
+  },
+  seasonCheck: mongoose.Schema.Types.Mixed, // Result of the season goal check
+  // Outcome of simulating donate()
+  simulation: {
+    executor: String,           // Executor that would have sent the transaction
+    gasLimit: String,           // Estimated gas limit including headroom
+    reason: String              // Revert reason or error when it would have failed
+  },
+  blockTimestamp: Number,
+  // Status information
+  //   would_send - simulation passed, a real run would have broadcast it
+  //   would_fail - simulation or gas estimation reverted
+  //   skipped    - nothing to send (e.g. season goal already met)
+  //   error      - the shadow run itself failed (RPC errors and the like)
+  status: {
+    type: String,
+    enum: ['would_send', 'would_fail', 'skipped', 'error'],
+    required: true
+  }
+}, {
+  collection: 'shadow_donations',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+// One shadow result per source transfer and configuration
+shadowDonationSchema.index({ txHash: 1, logIndex: 1, configId: 1 }, { unique: true });
+shadowDonationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShadowDonation', shadowDonationSchema);
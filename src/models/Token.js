@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Schema for ERC20 tokens we accept as tips. Transfers of tokens that are not
+// registered (or disabled) are ignored; registered ones are valued in USDC to
+// compute the donation.
+const tokenSchema = new mongoose.Schema({
+  address: {                    // Token contract address
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  symbol: {
+    type: String,
+    required: true
+  },
+  decimals: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 36
+  },
+  // How the token is valued in USD
+  //   usd       - USD stablecoin, 1 token = 1 USD
+  //   eth       - wrapped ETH, valued at the ETH/USD price
+  //   coingecko - looked up on CoinGecko by priceId
+  priceSource: {
+    type: String,
+    enum: ['usd', 'eth', 'coingecko'],
+    required: true
+  },
+  priceId: String,              // CoinGecko coin id for the coingecko price source (e.g. degen-base)
+  enabled: {                    // Disabled tokens are ignored without deleting their settings
+    type: Boolean,
+    default: true
+  }
+}, {
+  collection: 'tokens',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+module.exports = mongoose.model('Token', tokenSchema);
@@ -5,8 +5,12 @@ const transactionRecordSchema = new mongoose.Schema({
   // Transaction information
   txHash: {
     type: String,
-    required: true,
-    unique: true
+    required: true
+  },
+  // Log index of the source transfer within txHash (-1 for native transfers)
+  logIndex: {
+    type: Number,
+    default: -1
   },
   // Original transaction details
   originalTransaction: {
@@ -14,7 +18,10 @@ const transactionRecordSchema = new mongoose.Schema({
     to: String,           // Original recipient (watched wallet)
     value: String,        // Original value in wei/smallest unit
     assetType: String,    // ETH, USDC, WETH, etc.
-    usdcValue: String     // Value converted to USDC (in smallest unit)
+    usdcValue: String,    // Value converted to USDC (in smallest unit)
+    usdPrice: Number,     // USD price of one token at block time used for the conversion
+    priceSource: String,  // Where the price came from (peg, candle:<api>, oracle:chainlink)
+    priceTimestamp: Number // Time the price applies to (unix seconds)
   },
   // Donation details
   donation: {
@@ -24,7 +31,14 @@ const transactionRecordSchema = new mongoose.Schema({
     usdcValue: String,          // USDC value in base units (smallest unit)
     percentAmount: Number,      // Percentage of original transaction
     contractAddress: String,    // EON contract used
-    donationTxHash: String      // Blockchain transaction hash of the donation
+    donationTxHash: String,     // Blockchain transaction hash of the donation
+    // Settlement as reported by the contract's Donation event
+    settledQuantity: String,    // Quantity the contract moved (smallest unit)
+    fee: String,                // Fee the contract charged (smallest unit)
+    settlementStatus: {
+      type: String,
+      enum: ['matched', 'mismatch', 'missing']
+    }
   },
   // Timestamps
   blockTimestamp: {
@@ -40,6 +54,11 @@ const transactionRecordSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, // Reference to the configuration that triggered this
     ref: 'ExistingWallet'
   },
+  // Season the donation counts towards, set when the goal check runs before sending
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season'
+  },
   // Status information
   status: {
     type: String,
@@ -52,6 +71,9 @@ const transactionRecordSchema = new mongoose.Schema({
   timestamps: true // Add createdAt and updatedAt timestamps
 });
 
+// Idempotency key: one donation per source transfer and configuration
+transactionRecordSchema.index({ txHash: 1, logIndex: 1, configId: 1 }, { unique: true });
+
 // Indexes for efficient querying
 transactionRecordSchema.index({ txHash: 1 });
 transactionRecordSchema.index({ 'donation.from': 1 });
@@ -59,5 +81,6 @@ transactionRecordSchema.index({ 'donation.to': 1 });
 transactionRecordSchema.index({ blockTimestamp: 1 });
 transactionRecordSchema.index({ processedAt: 1 });
 transactionRecordSchema.index({ status: 1 });
+transactionRecordSchema.index({ seasonId: 1, status: 1 });
 
 module.exports = mongoose.model('TransactionRecord', transactionRecordSchema);
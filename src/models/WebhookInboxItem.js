@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Schema for raw webhook deliveries. Every payload is stored before it is
+// processed so nothing is lost if processing throws, and so deliveries can
+// be inspected and reprocessed later.
+const webhookInboxItemSchema = new mongoose.Schema({
+  route: String,                // Path the delivery arrived on
+  headers: mongoose.Schema.Types.Mixed,
+  rawBody: {                    // Exact bytes received (utf8), as signed by the sender
+    type: String,
+    required: true
+  },
+  // Extracted from the body for querying
+  streamId: String,
+  tag: String,
+  confirmed: Boolean,
+  blockNumber: Number,
+  blockTimestamp: Number,
+  // Processing state
+  //   received   - stored, waiting for the worker
+  //   processing - claimed by a worker (see lockedBy / leaseExpiresAt)
+  //   done       - processed without errors
+  //   failed     - processing threw or reported errors (see error)
+  //   rejected   - failed signature verification, never processed (see error)
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'done', 'failed', 'rejected'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: String,
+  leaseExpiresAt: Date,
+  processedAt: Date,
+  result: mongoose.Schema.Types.Mixed, // Summary returned by processWebhookData
+  error: String
+}, {
+  collection: 'webhook_inbox',
+  timestamps: true // Add createdAt and updatedAt timestamps
+});
+
+webhookInboxItemSchema.index({ status: 1, createdAt: 1 });
+webhookInboxItemSchema.index({ streamId: 1, createdAt: 1 });
+
+const WebhookInboxItem = mongoose.model('WebhookInboxItem', webhookInboxItemSchema);
+
+// Shadow mode (DRY_RUN=true) stores deliveries in its own inbox, so the live
+// worker never processes them and the shadow worker never claims live ones
+WebhookInboxItem.Shadow = mongoose.model('ShadowWebhookInboxItem', webhookInboxItemSchema, 'shadow_webhook_inbox');
+
+module.exports = WebhookInboxItem;
@@ -1,31 +1,72 @@
+const crypto = require('crypto');
 const express = require('express');
-const Moralis = require('moralis').default;
+const { ethers } = require('ethers');
 const router = express.Router();
 // Use the moralisWatcher instance that has the loaded wallets
 const watcher = require('../services/moralisWatcher');
+const confirmationService = require('../services/confirmations');
+const webhookInbox = require('../services/webhookInbox');
+const tokenRegistry = require('../services/tokenRegistry');
 
-// Middleware to verify Moralis webhook signatures
+// Moralis signs the exact request body: x-signature = keccak256(rawBody + secret).
+// The previous secret is accepted too so the secret can be rotated without dropping events.
+function getWebhookSecrets() {
+  return [process.env.MORALIS_WEBHOOK_SECRET, process.env.MORALIS_WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+}
+
+// Check a signature against every accepted secret in constant time
+function isValidSignature(rawBody, signature, secrets) {
+  const provided = Buffer.from(signature.toLowerCase());
+  
+  return secrets.some(secret => {
+    const expected = Buffer.from(ethers.id(rawBody + secret).toLowerCase());
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+// Test deliveries Moralis sends while a stream is being set up
+function isVerificationRequest(body) {
+  return body.verified === false || body.tag === 'verification';
+}
+
+// Middleware to verify Moralis webhook signatures on every entry point.
+// Unsigned verification pings are acknowledged without being processed; any other
+// request needs a valid signature. Rejected requests are kept in the inbox for inspection.
 const verifyMoralisSignature = async (req, res, next) => {
+  const reject = (status, reason) => {
+    console.error(`Rejected webhook on ${req.originalUrl}: ${reason}`);
+    webhookInbox.recordRejected(req, reason).catch(error => {
+      console.error('Error recording rejected webhook:', error);
+    });
+    return res.status(status).json({ error: reason });
+  };
+  
   try {
+    const body = req.body || {};
     const signature = req.headers['x-signature'];
+    
     if (!signature) {
-      console.error('Missing signature header');
-      return res.status(401).json({ error: 'Missing signature header' });
+      if (isVerificationRequest(body)) {
+        console.log('Received verification request from Moralis');
+        // Immediately respond with 200 for verification requests
+        return res.status(200).send('Webhook verification successful');
+      }
+      return reject(401, 'Missing signature header');
     }
-
-    // Verify the signature using your webhook secret
-    const webhookSecret = process.env.MORALIS_WEBHOOK_SECRET;
-    const isValid = await Moralis.Streams.verifySignature({
-      body: req.body,
-      signature,
-      webhookSecret
-    });
-
-    if (!isValid) {
-      console.error('Invalid webhook signature');
-      return res.status(401).json({ error: 'Invalid signature' });
+    
+    const secrets = getWebhookSecrets();
+    if (secrets.length === 0) {
+      return reject(503, 'Webhook secret is not configured');
     }
-
+    
+    if (!req.rawBody) {
+      return reject(400, 'Missing JSON request body');
+    }
+    
+    if (!isValidSignature(req.rawBody.toString('utf8'), signature, secrets)) {
+      return reject(401, 'Invalid signature');
+    }
+    
     next();
   } catch (error) {
     console.error('Error verifying webhook signature:', error);
@@ -46,301 +87,266 @@ function cleanWebhookDataForLogging(data) {
   return cleaned;
 }
 
-// Handle webhook events from Moralis
-router.post('/moralis', async (req, res) => {
+// Store a verified delivery and acknowledge it; the inbox worker processes it.
+// Shared by every webhook route so there is a single ingestion path.
+async function ingestWebhook(req, res) {
   try {
     // Log the cleaned request body
-    console.log('Received webhook from Moralis:', cleanWebhookDataForLogging(req.body));
-    
-    // Check if this is a verification request
-    if (req.body.verified === false || req.body.tag === 'verification') {
-      console.log('Received verification request from Moralis');
-      // Immediately respond with 200 for verification requests
-      return res.status(200).send('Webhook verification successful');
-    }
+    console.log(`Received webhook from Moralis at ${req.originalUrl}:`, cleanWebhookDataForLogging(req.body));
     
-    // For actual webhook events, verify the signature
-    const signature = req.headers['x-signature'];
-    if (signature && process.env.MORALIS_WEBHOOK_SECRET) {
-      try {
-        const isValid = await Moralis.Streams.verifySignature({
-          body: req.body,
-          signature,
-          webhookSecret: process.env.MORALIS_WEBHOOK_SECRET
-        });
-        
-        if (!isValid) {
-          console.error('Invalid webhook signature');
-          return res.status(401).json({ error: 'Invalid signature' });
-        }
-      } catch (error) {
-        console.error('Error verifying webhook signature:', error);
-      }
-    }
-    
-    // Immediately respond to Moralis to acknowledge receipt
+    // Store the delivery before acknowledging it so a processing error can't lose it
+    await webhookInbox.receive(req);
     res.status(200).send('Webhook received');
-    
-    // Process the webhook data asynchronously
-    if (req.body.streamId) {
-      processWebhookData(req.body).catch(error => {
-        console.error('Error processing webhook data:', error);
-      });
-    }
   } catch (error) {
-    console.error('Error handling Moralis webhook:', error);
+    console.error('Error storing webhook delivery:', error);
     // If we haven't sent a response yet, send one now
     if (!res.headersSent) {
-      res.status(500).json({ error: 'Internal server error' });
+      res.status(500).json({ error: 'Failed to store webhook' });
     }
   }
-});
+}
 
-// Process webhook data asynchronously
-async function processWebhookData(webhookData) {
-  try {
-    // Get our token addresses from env for filtering
-    const usdcAddress = (process.env.USDC_CONTRACT_ADDRESS || '').toLowerCase();
-    const wethAddress = (process.env.WETH_CONTRACT_ADDRESS || '').toLowerCase();
-    
-    console.log(`Processing webhook data for stream: ${webhookData.streamId}`);
-    console.log(`Current tokens being monitored: USDC (${usdcAddress}), WETH (${wethAddress})`);
-    
-    // Log the first 500 chars of the webhook data to avoid console flooding
-    const webhookDataString = JSON.stringify(webhookData);
-    
-    // Track processed transaction hashes to avoid duplicates
-    const processedTxHashes = new Set();
-    
-    // IMPORTANT: Capture ALL logs and events, then filter locally
-    // -------------- Process Contract Logs (for ERC20 Transfers) --------------
-    const logs = webhookData.logs || [];
-    for (const log of logs) {
-      try {
-        // Check if this is an ERC20 Transfer event (topic0 = Transfer event signature)
-        if (log.topic0 === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef') {
-          // For Transfer events, topic1 = from address, topic2 = to address (both padded with zeros)
-          // We need to remove the padding
-          const from = '0x' + log.topic1.slice(26).toLowerCase();
-          const to = '0x' + log.topic2.slice(26).toLowerCase();
-          const tokenAddress = log.address.toLowerCase();
-          
-          // Safely convert the log data to BigInt, handling '0x' empty values
-          let value;
-          try {
-            const hexData = log.data || '0x0';
-            // If it's just '0x', treat it as zero
-            const cleanedData = hexData === '0x' ? '0x0' : hexData;
-            value = BigInt(cleanedData);
-          } catch (e) {
-            console.warn(`Failed to convert log data to BigInt: ${log.data} - using 0`, e);
-            value = BigInt(0);
-          }
-          
-          const txHash = log.transactionHash;
-          
-          // Get timestamp from block data if available
-          let timestamp = Math.floor(Date.now() / 1000); // Default to current time
-          if (webhookData.block && webhookData.block.timestamp) {
-            timestamp = parseInt(webhookData.block.timestamp);
-          }
-          
-          console.log(`Found ERC20 transfer: ${from} -> ${to}, Token: ${tokenAddress}, Value: ${value}`);
-          
-          // Check if this is a token we care about (USDC or WETH for now)
-          // IMPORTANT: The filter happens HERE, making it easy to add more tokens
-          if (tokenAddress === usdcAddress || tokenAddress === wethAddress) {
-            console.log(`Processing transfer for monitored token: ${tokenAddress}`);
-            await watcher.processERC20Transfer(
-              tokenAddress, 
-              from, 
-              to, 
-              value, 
-              txHash,
-              timestamp
-            );
-            // Mark this transaction as processed
-            if (txHash) processedTxHashes.add(txHash);
-          } else {
-            console.log(`Ignoring transfer for non-monitored token: ${tokenAddress}`);
-          }
-        }
-      } catch (error) {
-        console.error('Error processing log event from webhook:', error);
-      }
-    }
-    
-    // -------------- Process ERC20 Transfers from erc20Transfers Field --------------
-    const erc20Transfers = webhookData.erc20Transfers || [];
-    if (erc20Transfers.length > 0) {
-      console.log(`Processing ${erc20Transfers.length} ERC20 transfers from webhook data`);
-    }
-    
-    for (const transfer of erc20Transfers) {
-      try {
-        // Normalize the fields to handle different Moralis data formats
-        const tokenAddress = (transfer.contract || transfer.address || '').toLowerCase();
-        const from = (transfer.from || '').toLowerCase();
-        const to = (transfer.to || '').toLowerCase();
-        const value = transfer.value || transfer.amount || '0';
-        const txHash = transfer.transactionHash || transfer.transaction_hash;
+// Handle webhook events from Moralis
+router.post('/moralis', verifyMoralisSignature, ingestWebhook);
+
+// Pull every transfer we may act on out of a Moralis stream payload.
+// Returns normalized transfers: { kind, tokenAddress, from, to, value, txHash, logIndex, timestamp, blockNumber, blockHash, streamId }
+function extractTransfers(webhookData) {
+  // Token transfers are filtered against the token registry
+  console.log(`Current tokens being monitored: ${tokenRegistry.getAddresses().join(', ') || 'none'}`);
+  
+  // Block information shared by every event in the payload
+  const block = webhookData.block || {};
+  const blockInfo = {
+    timestamp: block.timestamp ? parseInt(block.timestamp) : Math.floor(Date.now() / 1000),
+    blockNumber: block.number ? parseInt(block.number) : undefined,
+    blockHash: block.hash,
+    streamId: webhookData.streamId
+  };
+  
+  const transfers = [];
+  
+  // Track processed transaction hashes to avoid duplicates
+  const processedTxHashes = new Set();
+  
+  // IMPORTANT: Capture ALL logs and events, then filter locally
+  // -------------- Process Contract Logs (for ERC20 Transfers) --------------
+  const logs = webhookData.logs || [];
+  for (const log of logs) {
+    try {
+      // Check if this is an ERC20 Transfer event (topic0 = Transfer event signature)
+      if (log.topic0 === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef') {
+        // For Transfer events, topic1 = from address, topic2 = to address (both padded with zeros)
+        // We need to remove the padding
+        const from = '0x' + log.topic1.slice(26).toLowerCase();
+        const to = '0x' + log.topic2.slice(26).toLowerCase();
+        const tokenAddress = log.address.toLowerCase();
         
-        // Get timestamp from block data if available
-        let timestamp = Math.floor(Date.now() / 1000); // Default to current time
-        if (webhookData.block && webhookData.block.timestamp) {
-          timestamp = parseInt(webhookData.block.timestamp);
+        // Safely convert the log data to BigInt, handling '0x' empty values
+        let value;
+        try {
+          const hexData = log.data || '0x0';
+          // If it's just '0x', treat it as zero
+          const cleanedData = hexData === '0x' ? '0x0' : hexData;
+          value = BigInt(cleanedData);
+        } catch (e) {
+          console.warn(`Failed to convert log data to BigInt: ${log.data} - using 0`, e);
+          value = BigInt(0);
         }
         
-        // Skip if we've already processed this transaction
-        if (txHash && processedTxHashes.has(txHash)) {
-          console.log(`Skipping already processed transaction from erc20Transfers: ${txHash}`);
-          continue;
-        }
+        const txHash = log.transactionHash;
         
-        // Check if this is a token we care about (USDC or WETH for now)
-        // IMPORTANT: The filter happens HERE, making it easy to add more tokens
-        if (tokenAddress === usdcAddress || tokenAddress === wethAddress) {
-          console.log(`Processing ERC20 transfer: ${from} -> ${to}, Token: ${tokenAddress}, Value: ${value}`);
-          
-          // Process the transfer if we have all required data
-          if (tokenAddress && from && to) {
-            await watcher.processERC20Transfer(
-              tokenAddress, 
-              from, 
-              to, 
-              BigInt(value || '0'), 
-              txHash,
-              timestamp
-            );
-          } else {
-            console.warn('Skipping ERC20 transfer with missing data:', transfer);
-          }
-        } else if (tokenAddress) {
+        console.log(`Found ERC20 transfer: ${from} -> ${to}, Token: ${tokenAddress}, Value: ${value}`);
+        
+        // Check if this is a token we care about
+        // IMPORTANT: The filter happens HERE, against the enabled tokens in the registry
+        if (tokenRegistry.isSupported(tokenAddress)) {
+          transfers.push({ ...blockInfo, kind: 'erc20', tokenAddress, from, to, value, txHash, logIndex: log.logIndex });
+          // Mark this transaction as processed
+          if (txHash) processedTxHashes.add(txHash);
+        } else {
           console.log(`Ignoring transfer for non-monitored token: ${tokenAddress}`);
         }
-      } catch (error) {
-        console.error('Error processing ERC20 transfer from webhook:', error);
       }
+    } catch (error) {
+      console.error('Error processing log event from webhook:', error);
     }
-    
-    // -------------- Process Native ETH Transfers --------------
-    const nativeTransfers = webhookData.txs || [];
-    if (nativeTransfers.length > 0) {
-      console.log(`Processing ${nativeTransfers.length} native transfers from webhook data`);
+  }
+  
+  // -------------- Process ERC20 Transfers from erc20Transfers Field --------------
+  const erc20Transfers = webhookData.erc20Transfers || [];
+  if (erc20Transfers.length > 0) {
+    console.log(`Processing ${erc20Transfers.length} ERC20 transfers from webhook data`);
+  }
+  
+  for (const transfer of erc20Transfers) {
+    try {
+      // Normalize the fields to handle different Moralis data formats
+      const tokenAddress = (transfer.contract || transfer.address || '').toLowerCase();
+      const from = (transfer.from || '').toLowerCase();
+      const to = (transfer.to || '').toLowerCase();
+      const value = transfer.value || transfer.amount || '0';
+      const txHash = transfer.transactionHash || transfer.transaction_hash;
+      const logIndex = transfer.logIndex ?? transfer.log_index;
+      
+      // Skip if we've already processed this transaction
+      if (txHash && processedTxHashes.has(txHash)) {
+        console.log(`Skipping already processed transaction from erc20Transfers: ${txHash}`);
+        continue;
+      }
+      
+      // Check if this is a token we care about
+      // IMPORTANT: The filter happens HERE, against the enabled tokens in the registry
+      if (tokenRegistry.isSupported(tokenAddress)) {
+        console.log(`Processing ERC20 transfer: ${from} -> ${to}, Token: ${tokenAddress}, Value: ${value}`);
+        
+        // Process the transfer if we have all required data
+        if (tokenAddress && from && to) {
+          transfers.push({ ...blockInfo, kind: 'erc20', tokenAddress, from, to, value: BigInt(value || '0'), txHash, logIndex });
+        } else {
+          console.warn('Skipping ERC20 transfer with missing data:', transfer);
+        }
+      } else if (tokenAddress) {
+        console.log(`Ignoring transfer for non-monitored token: ${tokenAddress}`);
+      }
+    } catch (error) {
+      console.error('Error processing ERC20 transfer from webhook:', error);
     }
-    
-    for (const tx of nativeTransfers) {
-      try {
-        // Normalize field names to handle different Moralis data formats
+  }
+  
+  // -------------- Process Native ETH Transfers --------------
+  const nativeTransfers = webhookData.txs || [];
+  if (nativeTransfers.length > 0) {
+    console.log(`Processing ${nativeTransfers.length} native transfers from webhook data`);
+  }
+  
+  for (const tx of nativeTransfers) {
+    try {
+      // Normalize field names to handle different Moralis data formats
+      const txHash = tx.hash || tx.transaction_hash;
+      const from = (tx.fromAddress || tx.from || '').toLowerCase();
+      const to = (tx.toAddress || tx.to || '').toLowerCase();
+      const value = tx.value || '0';
+      
+      console.log(`Processing native transfer: ${from} -> ${to}, Value: ${value}`);
+      
+      // Native ETH transfers are always processed (no filtering needed)
+      if (from && to) {
+        transfers.push({ ...blockInfo, kind: 'native', from, to, value: BigInt(value || '0'), txHash });
+      } else {
+        console.warn('Skipping native transfer with missing data:', tx);
+      }
+    } catch (error) {
+      console.error('Error processing native transfer from webhook:', error);
+    }
+  }
+  
+  // -------------- Process Any Other Transaction Data Formats --------------
+  // This is a fallback to catch any transactions that might be in a different structure
+  if (webhookData.transaction || webhookData.tx) {
+    try {
+      const tx = webhookData.transaction || webhookData.tx;
+      if (tx) {
         const txHash = tx.hash || tx.transaction_hash;
-        const from = (tx.fromAddress || tx.from || '').toLowerCase();
-        const to = (tx.toAddress || tx.to || '').toLowerCase();
+        const from = (tx.from_address || tx.from || '').toLowerCase();
+        const to = (tx.to_address || tx.to || '').toLowerCase();
         const value = tx.value || '0';
         
-        // Get timestamp from block data
-        let timestamp = Math.floor(Date.now() / 1000); // Default to current time
-        if (webhookData.block && webhookData.block.timestamp) {
-          timestamp = parseInt(webhookData.block.timestamp);
-        }
+        console.log(`Processing transaction from webhook: ${from} -> ${to}, Value: ${value}`);
         
-        console.log(`Processing native transfer: ${from} -> ${to}, Value: ${value}`);
-        
-        // Process the transaction if it has all required data
         if (from && to) {
-          // Format the transaction object to match what watcher.checkTransaction expects
-          const formattedTx = {
-            hash: txHash,
-            from: from,
-            to: to,
-            value: BigInt(value || '0')
-          };
-          
-          // Native ETH transfers are always processed (no filtering needed)
-          await watcher.checkTransaction(formattedTx, timestamp);
-        } else {
-          console.warn('Skipping native transfer with missing data:', tx);
+          transfers.push({ ...blockInfo, kind: 'native', from, to, value: BigInt(value), txHash });
         }
-      } catch (error) {
-        console.error('Error processing native transfer from webhook:', error);
       }
+    } catch (error) {
+      console.error('Error processing transaction from webhook:', error);
     }
-    
-    // -------------- Process Any Other Transaction Data Formats --------------
-    // This is a fallback to catch any transactions that might be in a different structure
-    if (webhookData.transaction || webhookData.tx) {
-      try {
-        const tx = webhookData.transaction || webhookData.tx;
-        if (tx) {
-          const txHash = tx.hash || tx.transaction_hash;
-          const from = (tx.from_address || tx.from || '').toLowerCase();
-          const to = (tx.to_address || tx.to || '').toLowerCase();
-          const value = tx.value || '0';
+  }
+  
+  // -------------- Process Decoded Events --------------
+  // Some Moralis webhook data includes decoded events
+  const decodedLogs = webhookData.decodedLogs || [];
+  for (const decoded of decodedLogs) {
+    try {
+      // Check if this is a Transfer event
+      if (decoded.name === 'Transfer') {
+        const params = decoded.params || [];
+        const fromParam = params.find(p => p.name === 'from');
+        const toParam = params.find(p => p.name === 'to');
+        const valueParam = params.find(p => p.name === 'value');
+        
+        if (fromParam && toParam && valueParam) {
+          const from = fromParam.value.toLowerCase();
+          const to = toParam.value.toLowerCase();
+          const value = valueParam.value;
+          const tokenAddress = (decoded.address || '').toLowerCase();
+          const txHash = decoded.transactionHash;
           
-          console.log(`Processing transaction from webhook: ${from} -> ${to}, Value: ${value}`);
+          console.log(`Found decoded Transfer: ${from} -> ${to}, Token: ${tokenAddress}, Value: ${value}`);
           
-          if (from && to) {
-            const formattedTx = {
-              hash: txHash,
-              from: from,
-              to: to,
-              value: BigInt(value)
-            };
-            
-            // Native ETH transfers are always processed (no filtering needed)
-            await watcher.checkTransaction(formattedTx, Math.floor(Date.now() / 1000));
+          // Check if this is a token we care about
+          if (tokenRegistry.isSupported(tokenAddress)) {
+            transfers.push({ ...blockInfo, kind: 'erc20', tokenAddress, from, to, value: BigInt(value || '0'), txHash, logIndex: decoded.logIndex });
           }
         }
-      } catch (error) {
-        console.error('Error processing transaction from webhook:', error);
       }
+    } catch (error) {
+      console.error('Error processing decoded log from webhook:', error);
     }
-    
-    // -------------- Process Decoded Events --------------
-    // Some Moralis webhook data includes decoded events
-    const decodedLogs = webhookData.decodedLogs || [];
-    for (const decoded of decodedLogs) {
-      try {
-        // Check if this is a Transfer event
-        if (decoded.name === 'Transfer') {
-          const params = decoded.params || [];
-          const fromParam = params.find(p => p.name === 'from');
-          const toParam = params.find(p => p.name === 'to');
-          const valueParam = params.find(p => p.name === 'value');
-          
-          if (fromParam && toParam && valueParam) {
-            const from = fromParam.value.toLowerCase();
-            const to = toParam.value.toLowerCase();
-            const value = valueParam.value;
-            const tokenAddress = (decoded.address || '').toLowerCase();
-            const txHash = decoded.transactionHash;
-            
-            console.log(`Found decoded Transfer: ${from} -> ${to}, Token: ${tokenAddress}, Value: ${value}`);
-            
-            // Check if this is a token we care about
-            if (tokenAddress === usdcAddress || tokenAddress === wethAddress) {
-              await watcher.processERC20Transfer(
-                tokenAddress,
-                from,
-                to,
-                BigInt(value || '0'),
-                txHash,
-                Math.floor(Date.now() / 1000)
-              );
-            }
-          }
-        }
-      } catch (error) {
-        console.error('Error processing decoded log from webhook:', error);
+  }
+  
+  return transfers;
+}
+
+// Process webhook data.
+// Unconfirmed deliveries are only recorded as provisional; donations are enqueued
+// once Moralis sends the confirmed delivery or the transfer is deep enough on chain.
+// Returns { transfers, errors } so the inbox can record how the delivery went.
+// options.replay hands confirmed transfers on even if they were confirmed before;
+// the donation pipeline's idempotency keys still stop a transfer from donating twice.
+async function processWebhookData(webhookData, options = {}) {
+  const confirmed = webhookData.confirmed === true;
+  console.log(`Processing ${confirmed ? 'confirmed' : 'unconfirmed'} webhook data for stream: ${webhookData.streamId}`);
+  
+  const transfers = extractTransfers(webhookData);
+  const errors = [];
+  
+  for (const transfer of transfers) {
+    try {
+      // Only incoming transfers to watched wallets can trigger a donation
+      if (!watcher.watchedWallets.has(transfer.to)) {
+        continue;
+      }
+      
+      if (!confirmed) {
+        await confirmationService.recordProvisional(transfer);
+        continue;
       }
+      
+      const handedOff = await confirmationService.handOff(
+        transfer,
+        'webhook',
+        confirmedTransfer => watcher.handleTransfer(confirmedTransfer),
+        { replay: options.replay }
+      );
+      if (!handedOff) {
+        console.log(`Transfer ${transfer.txHash} (log ${transfer.logIndex}) was already confirmed, skipping`);
+      }
+    } catch (error) {
+      console.error(`Error handling transfer ${transfer.txHash} from webhook:`, error);
+      errors.push(`${transfer.txHash}: ${error.message}`);
     }
-  } catch (error) {
-    console.error('Error processing webhook data:', error);
   }
+  
+  return { transfers: transfers.length, errors };
 }
 
-// Export both the router and the cleaning function
+// Export the router, the ingestion middleware and the processing functions
 module.exports = {
   router,
+  verifyMoralisSignature,
+  ingestWebhook,
   processWebhookData,
+  extractTransfers,
   cleanWebhookDataForLogging
 };
@@ -1,10 +1,13 @@
+const crypto = require('crypto');
 const express = require('express');
 const { connectDB } = require('./services/database');
 const blockchainService = require('./services/blockchain');
 const moralisWatcher = require('./services/moralisWatcher');
 const scheduler = require('./utils/scheduler');
 const ExistingWallet = require('./models/ExistingWallet');
-const { router: webhookRoutes } = require('./routes/webhookRoutes');
+const { router: webhookRoutes, verifyMoralisSignature, ingestWebhook } = require('./routes/webhookRoutes');
+const webhookInbox = require('./services/webhookInbox');
+const webhookReplay = require('./services/webhookReplay');
 
 require('dotenv').config();
 
@@ -25,52 +28,64 @@ app.get('/', (req, res) => {
   res.json({ message: 'EON Watcher Server is running' });
 });
 
-// Direct Moralis webhook endpoint for verification
-app.post('/api/webhooks/moralis-webhook', (req, res) => {
-  // console.log('Received webhook from Moralis:', req.body);
+// Admin endpoints require the ADMIN_API_KEY in the x-admin-key header
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled: ADMIN_API_KEY is not set' });
+  }
   
-  // Always respond with 200 OK for webhook verification
-  res.status(200).send('Webhook received');
+  const provided = Buffer.from(req.headers['x-admin-key'] || '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
   
-  // If this is a real webhook event with data, process it
-  if (req.body && req.body.streamId) {
-    try {
-      // Process the webhook data here
-      console.log(`Processing webhook data for stream: ${req.body.streamId}`);
-      
-      // Import the webhook processing function
-      const { processWebhookData } = require('./routes/webhookRoutes');
-      
-      // Process asynchronously
-      processWebhookData(req.body).catch(error => {
-        console.error('Error processing webhook data:', error);
-      });
-    } catch (error) {
-      console.error('Error processing webhook data:', error);
+  next();
+};
+
+// Direct Moralis webhook endpoints, verified and stored the same way as /api/webhooks/moralis
+app.post('/api/webhooks/moralis-webhook', verifyMoralisSignature, ingestWebhook);
+app.post('/webhook/moralis', verifyMoralisSignature, ingestWebhook);
+
+// Stored webhook deliveries (admin), optionally filtered with ?status= (rejected shows failed signature checks)
+app.get('/api/webhooks/inbox', requireAdminKey, async (req, res) => {
+  try {
+    const stats = await webhookInbox.getStats();
+    const items = await webhookInbox.list(req.query.status);
+    
+    res.json({ stats, items });
+  } catch (error) {
+    console.error('Error getting webhook inbox:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook inbox' });
+  }
+});
+
+// A single stored delivery including headers and raw body (admin)
+app.get('/api/webhooks/inbox/:id', requireAdminKey, async (req, res) => {
+  try {
+    const item = await webhookInbox.getById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Webhook inbox item not found' });
     }
+    res.json(item);
+  } catch (error) {
+    console.error('Error getting webhook inbox item:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook inbox item' });
   }
 });
 
-// Register direct webhook route for Moralis at the path it's expecting
-app.post('/webhook/moralis', (req, res) => {
-  console.log('Received webhook from Moralis at /webhook/moralis:', req.body);
-  
-  // Always respond with 200 OK for webhook verification
-  res.status(200).send('Webhook received');
-  
-  // If this is a real webhook event with data, process it
-  if (req.body && req.body.streamId) {
-    try {
-      // Import the webhook processing function
-      const { processWebhookData } = require('./routes/webhookRoutes');
-      
-      // Process asynchronously
-      processWebhookData(req.body).catch(error => {
-        console.error('Error processing webhook data:', error);
-      });
-    } catch (error) {
-      console.error('Error processing webhook data:', error);
+// Run a stored delivery through processing again
+app.post('/api/webhooks/inbox/:id/reprocess', requireAdminKey, async (req, res) => {
+  try {
+    const item = await webhookInbox.reprocess(req.params.id);
+    if (!item) {
+      return res.status(409).json({ error: 'Webhook inbox item not found or currently being processed' });
     }
+    res.json({ message: 'Webhook reprocessed', item });
+  } catch (error) {
+    console.error('Error reprocessing webhook inbox item:', error);
+    res.status(500).json({ error: 'Failed to reprocess webhook inbox item' });
   }
 });
 
@@ -145,6 +160,241 @@ app.get('/api/donations/pending', async (req, res) => {
   }
 });
 
+// Get the state of the persistent donation queue
+app.get('/api/donations/queue', requireAdminKey, async (req, res) => {
+  try {
+    const donationQueue = require('./services/donationQueue');
+    const stats = await donationQueue.getStats();
+    const items = await donationQueue.list(req.query.state);
+    
+    res.json({ stats, items });
+  } catch (error) {
+    console.error('Error getting donation queue:', error);
+    res.status(500).json({ error: 'Failed to fetch donation queue' });
+  }
+});
+
+// Replay a stored webhook delivery by inbox id
+app.post('/api/admin/replay/inbox/:id', requireAdminKey, async (req, res) => {
+  try {
+    const item = await webhookReplay.replayInboxItem(req.params.id);
+    if (!item) {
+      return res.status(409).json({ error: 'Webhook inbox item not found or currently being processed' });
+    }
+    res.json({ message: 'Webhook replayed', item });
+  } catch (error) {
+    console.error('Error replaying webhook:', error);
+    res.status(500).json({ error: 'Failed to replay webhook' });
+  }
+});
+
+// Replay every stored delivery for a stream received in a time range: { streamId, from, to }
+app.post('/api/admin/replay/stream', requireAdminKey, async (req, res) => {
+  try {
+    const { streamId } = req.body || {};
+    const from = new Date(req.body && req.body.from);
+    const to = req.body && req.body.to ? new Date(req.body.to) : new Date();
+    
+    if (!streamId || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'streamId and a valid from date are required' });
+    }
+    
+    const result = await webhookReplay.replayStream(streamId, from, to);
+    res.json({ message: `Replayed ${result.count} webhook deliveries`, ...result });
+  } catch (error) {
+    console.error('Error replaying stream:', error);
+    res.status(500).json({ error: 'Failed to replay stream' });
+  }
+});
+
+// Build a payload from an on-chain transaction and run it through webhook processing
+app.post('/api/admin/replay/tx/:txHash', requireAdminKey, async (req, res) => {
+  try {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.txHash)) {
+      return res.status(400).json({ error: 'Invalid transaction hash' });
+    }
+    
+    const item = await webhookReplay.replayTransaction(req.params.txHash);
+    res.json({ message: 'Transaction replayed', item });
+  } catch (error) {
+    console.error('Error replaying transaction:', error);
+    res.status(500).json({ error: `Failed to replay transaction: ${error.message}` });
+  }
+});
+
+// Ingestion mode and progress of the RPC block poller
+app.get('/api/ingestion/status', async (req, res) => {
+  try {
+    const rpcIngestion = require('./services/rpcIngestion');
+    res.json({
+      mode: moralisWatcher.ingestionMode,
+      rpc: moralisWatcher.ingestionMode === 'rpc' ? await rpcIngestion.getStatus() : null
+    });
+  } catch (error) {
+    console.error('Error getting ingestion status:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion status' });
+  }
+});
+
+// Progress of the RPC backfill job
+app.get('/api/backfill/status', async (req, res) => {
+  try {
+    const backfillService = require('./services/backfill');
+    res.json(await backfillService.getStatus());
+  } catch (error) {
+    console.error('Error getting backfill status:', error);
+    res.status(500).json({ error: 'Failed to fetch backfill status' });
+  }
+});
+
+// Scan a block range for missed transfers: { fromBlock, toBlock }
+app.post('/api/admin/backfill', requireAdminKey, async (req, res) => {
+  try {
+    const backfillService = require('./services/backfill');
+    const fromBlock = parseInt(req.body && req.body.fromBlock, 10);
+    const toBlock = parseInt(req.body && req.body.toBlock, 10);
+    
+    if (Number.isNaN(fromBlock) || Number.isNaN(toBlock) || fromBlock > toBlock) {
+      return res.status(400).json({ error: 'Valid fromBlock and toBlock are required' });
+    }
+    
+    // Never act on blocks that could still be reorged
+    const safeHead = await backfillService.getSafeHead();
+    if (toBlock > safeHead) {
+      return res.status(400).json({ error: `toBlock must not be above the safe head (${safeHead})` });
+    }
+    
+    const result = await backfillService.backfillRange(fromBlock, toBlock);
+    res.json({ message: `Backfilled blocks ${fromBlock} to ${toBlock}`, ...result });
+  } catch (error) {
+    console.error('Error running backfill:', error);
+    res.status(500).json({ error: `Failed to run backfill: ${error.message}` });
+  }
+});
+
+// Transfers seen in stream webhooks and their confirmation status (?status=provisional|confirmed|cancelled)
+app.get('/api/transfers/observed', requireAdminKey, async (req, res) => {
+  try {
+    const confirmationService = require('./services/confirmations');
+    const stats = await confirmationService.getStats();
+    const transfers = await confirmationService.list(req.query.status || 'provisional');
+    
+    res.json({ stats, transfers });
+  } catch (error) {
+    console.error('Error getting observed transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch observed transfers' });
+  }
+});
+
+// Cached prices per asset with staleness metrics and circuit breaker state.
+// Donations held by an open breaker are listed with /api/donations/queue?state=waiting_for_price
+app.get('/api/prices', async (req, res) => {
+  try {
+    const priceFeed = require('./services/priceFeed');
+    const donationQueue = require('./services/donationQueue');
+    const stats = await donationQueue.getStats();
+    res.json({
+      providers: priceFeed.providers,
+      assets: priceFeed.getMetrics(),
+      waitingForPrice: stats.waiting_for_price
+    });
+  } catch (error) {
+    console.error('Error getting prices:', error);
+    res.status(500).json({ error: 'Failed to fetch prices' });
+  }
+});
+
+// Tokens accepted as tips
+app.get('/api/tokens', async (req, res) => {
+  try {
+    const tokenRegistry = require('./services/tokenRegistry');
+    res.json({ tokens: await tokenRegistry.list() });
+  } catch (error) {
+    console.error('Error fetching tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch tokens' });
+  }
+});
+
+// Register or update a token: { symbol, decimals, priceSource, priceId, enabled }
+app.put('/api/admin/tokens/:address', requireAdminKey, async (req, res) => {
+  try {
+    const tokenRegistry = require('./services/tokenRegistry');
+    const result = await tokenRegistry.upsert({ ...(req.body || {}), address: req.params.address });
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    res.json({ message: 'Token saved', token: result.token });
+  } catch (error) {
+    console.error('Error saving token:', error);
+    res.status(500).json({ error: 'Failed to save token' });
+  }
+});
+
+// Rebuild a season's running total from its successful transaction records
+app.post('/api/admin/seasons/:id/rebuild-total', requireAdminKey, async (req, res) => {
+  try {
+    const seasonGoalService = require('./services/seasonGoals');
+    const season = await seasonGoalService.rebuildSeasonTotal(req.params.id);
+    if (!season) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    res.json({
+      message: 'Season total rebuilt',
+      seasonId: season._id,
+      donatedUnits: season.donatedUnits,
+      donationCount: season.donationCount,
+      goalUnits: season.goalUnits
+    });
+  } catch (error) {
+    console.error('Error rebuilding season total:', error);
+    res.status(500).json({ error: 'Failed to rebuild season total' });
+  }
+});
+
+// Season history for a wallet, newest first
+app.get('/api/seasons/:address', async (req, res) => {
+  try {
+    const seasonGoalService = require('./services/seasonGoals');
+    const seasons = await seasonGoalService.getSeasonHistory(req.params.address);
+    if (!seasons) {
+      return res.status(500).json({ error: 'Failed to fetch seasons' });
+    }
+    res.json({ walletAddress: req.params.address.toLowerCase(), seasons });
+  } catch (error) {
+    console.error('Error fetching seasons:', error);
+    res.status(500).json({ error: 'Failed to fetch seasons' });
+  }
+});
+
+// Opt a season in or out of rollover: { enabled, goalUnits }
+app.put('/api/admin/seasons/:id/rollover', requireAdminKey, async (req, res) => {
+  try {
+    const seasonGoalService = require('./services/seasonGoals');
+    const result = await seasonGoalService.setRollover(req.params.id, req.body || {});
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+    res.json({ message: 'Season rollover saved', season: result.season });
+  } catch (error) {
+    console.error('Error saving season rollover:', error);
+    res.status(500).json({ error: 'Failed to save season rollover' });
+  }
+});
+
+// Donations recorded in shadow mode (DRY_RUN=true), optionally filtered with ?status=
+app.get('/api/donations/shadow', requireAdminKey, async (req, res) => {
+  try {
+    const ShadowDonation = require('./models/ShadowDonation');
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const donations = await ShadowDonation.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ dryRun: blockchainService.dryRun, donations });
+  } catch (error) {
+    console.error('Error fetching shadow donations:', error);
+    res.status(500).json({ error: 'Failed to fetch shadow donations' });
+  }
+});
+
 // Manually trigger donation processing
 app.post('/api/process-donations', async (req, res) => {
   try {
@@ -156,6 +406,16 @@ app.post('/api/process-donations', async (req, res) => {
   }
 });
 
+// Get the executor wallets used to send donations
+app.get('/api/executors', (req, res) => {
+  try {
+    res.json(blockchainService.signerPool.getStatus());
+  } catch (error) {
+    console.error('Error getting executor status:', error);
+    res.status(500).json({ error: 'Failed to fetch executor status' });
+  }
+});
+
 // Check wallet allowance
 app.get('/api/allowance/:address', async (req, res) => {
   try {
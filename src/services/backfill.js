@@ -0,0 +1,142 @@
+const BlockCheckpoint = require('../models/BlockCheckpoint');
+const BlockScanner = require('./blockScanner');
+const confirmationService = require('./confirmations');
+const blockchainService = require('./blockchain');
+require('dotenv').config();
+
+// Name of the checkpoint this job advances (shadow mode keeps its own)
+const CHECKPOINT_NAME = blockchainService.dryRun ? 'shadow:backfill' : 'backfill';
+
+// Safety net for missed webhooks: scans confirmed blocks since the persisted
+// checkpoint for transfers to watched wallets and hands the ones nobody has
+// confirmed yet to the donation pipeline. Moralis or server outages then only
+// delay donations instead of losing them.
+class BackfillService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.BACKFILL_INTERVAL_MS || '', 10) || 60 * 1000; // 1 minute
+    this.maxBlocksPerRun = parseInt(process.env.BACKFILL_MAX_BLOCKS_PER_RUN || '', 10) || 5000;
+
+    // Where to start on the very first run (defaults to the current safe head)
+    this.startBlock = parseInt(process.env.BACKFILL_START_BLOCK || '', 10) || null;
+
+    this.provider = null;
+    this.scanner = null;
+    this.getWatchedAddresses = null;
+    this.onTransfer = null;
+    this.isRunning = false;
+  }
+
+  // Start the periodic backfill.
+  // getWatchedAddresses() returns the wallets to scan for, onTransfer(transfer) processes a found transfer.
+  start(provider, { getWatchedAddresses, onTransfer }) {
+    this.provider = provider;
+    this.scanner = new BlockScanner(provider);
+    this.getWatchedAddresses = getWatchedAddresses;
+    this.onTransfer = onTransfer;
+
+    console.log(`Backfill job started (every ${this.intervalMs / 1000}s, up to ${this.maxBlocksPerRun} blocks per run)`);
+
+    this.run().catch(error => {
+      console.error('Error running backfill:', error);
+    });
+    setInterval(() => {
+      this.run().catch(error => {
+        console.error('Error running backfill:', error);
+      });
+    }, this.intervalMs);
+  }
+
+  async getCheckpoint() {
+    const checkpoint = await BlockCheckpoint.findOne({ name: CHECKPOINT_NAME });
+    return checkpoint ? checkpoint.blockNumber : null;
+  }
+
+  async setCheckpoint(blockNumber) {
+    await BlockCheckpoint.updateOne(
+      { name: CHECKPOINT_NAME },
+      { $set: { blockNumber } },
+      { upsert: true }
+    );
+  }
+
+  // Newest block with enough confirmations to act on without a provisional stage
+  async getSafeHead() {
+    const head = await this.provider.getBlockNumber();
+    return head - confirmationService.requiredConfirmations + 1;
+  }
+
+  // Scan from the checkpoint towards the safe head
+  async run() {
+    if (this.isRunning || !this.provider) {
+      return;
+    }
+
+    try {
+      this.isRunning = true;
+
+      const safeHead = await this.getSafeHead();
+      const checkpoint = await this.getCheckpoint();
+
+      // First run: nothing to catch up on unless a start block is configured
+      if (checkpoint === null) {
+        const initial = this.startBlock ? this.startBlock - 1 : safeHead;
+        await this.setCheckpoint(initial);
+        console.log(`Initialized backfill checkpoint at block ${initial}`);
+        return;
+      }
+
+      const fromBlock = checkpoint + 1;
+      const toBlock = Math.min(safeHead, checkpoint + this.maxBlocksPerRun);
+      if (fromBlock > toBlock) {
+        return;
+      }
+
+      await this.backfillRange(fromBlock, toBlock, { advanceCheckpoint: true });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Scan a block range and process every transfer not confirmed yet.
+  // With advanceCheckpoint the checkpoint moves forward after each scanned chunk.
+  async backfillRange(fromBlock, toBlock, { advanceCheckpoint = false } = {}) {
+    const watchedAddresses = this.getWatchedAddresses();
+    let found = 0;
+
+    if (toBlock - fromBlock > 100) {
+      console.log(`Backfilling blocks ${fromBlock} to ${toBlock} for ${watchedAddresses.length} watched wallets`);
+    }
+
+    for (let start = fromBlock; start <= toBlock; start += this.scanner.maxBlockRange) {
+      const end = Math.min(start + this.scanner.maxBlockRange - 1, toBlock);
+      const transfers = await this.scanner.scanRange(start, end, watchedAddresses);
+
+      for (const transfer of transfers) {
+        // Skips transfers a webhook (or an earlier scan) already confirmed
+        if (await confirmationService.handOff(transfer, 'backfill', this.onTransfer)) {
+          found++;
+          console.log(`Backfill found missed transfer ${transfer.txHash} (log ${transfer.logIndex ?? -1}) to ${transfer.to} in block ${transfer.blockNumber}`);
+        }
+      }
+
+      if (advanceCheckpoint) {
+        await this.setCheckpoint(end);
+      }
+    }
+
+    if (found > 0) {
+      console.log(`Backfill of blocks ${fromBlock} to ${toBlock} recovered ${found} transfer(s)`);
+    }
+    return { fromBlock, toBlock, found };
+  }
+
+  async getStatus() {
+    return {
+      checkpoint: await this.getCheckpoint(),
+      safeHead: this.provider ? await this.getSafeHead() : null,
+      running: this.isRunning
+    };
+  }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,121 @@
+const { ethers } = require('ethers');
+const tokenRegistry = require('./tokenRegistry');
+require('dotenv').config();
+
+// ERC20 Transfer(address indexed from, address indexed to, uint256 value)
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Finds transfers to watched wallets directly through the RPC provider.
+// Token transfers come from eth_getLogs filtered on topic2 (the recipient);
+// native transfers need the full blocks, so they can be switched off with SCAN_NATIVE_TRANSFERS=false.
+// Transfers are returned in the same shape extractTransfers() produces for webhooks.
+class BlockScanner {
+  constructor(provider) {
+    this.provider = provider;
+
+    // Providers cap the block range (and topic list) of a single eth_getLogs call
+    this.maxBlockRange = parseInt(process.env.RPC_LOGS_MAX_BLOCK_RANGE || '', 10) || 500;
+    this.addressChunkSize = 50;
+    this.includeNative = process.env.SCAN_NATIVE_TRANSFERS !== 'false';
+  }
+
+  // Tokens we act on, same as the webhook filter
+  getTokenAddresses() {
+    return tokenRegistry.getAddresses();
+  }
+
+  // Fetch a block once per scan
+  async getBlock(blockNumber, cache, withTransactions = false) {
+    const key = `${blockNumber}:${withTransactions}`;
+    if (!cache.has(key)) {
+      cache.set(key, await this.provider.getBlock(blockNumber, withTransactions));
+    }
+    return cache.get(key);
+  }
+
+  // Every monitored token and native transfer to a watched address in [fromBlock, toBlock]
+  async scanRange(fromBlock, toBlock, watchedAddresses) {
+    const transfers = [];
+    if (fromBlock > toBlock || watchedAddresses.length === 0) {
+      return transfers;
+    }
+
+    const watched = new Set(watchedAddresses.map(address => address.toLowerCase()));
+    const tokenAddresses = this.getTokenAddresses();
+    const blocks = new Map();
+
+    for (let start = fromBlock; start <= toBlock; start += this.maxBlockRange) {
+      const end = Math.min(start + this.maxBlockRange - 1, toBlock);
+
+      // -------------- ERC20 Transfer logs to watched wallets --------------
+      const addresses = Array.from(watched);
+      for (let i = 0; i < addresses.length && tokenAddresses.length > 0; i += this.addressChunkSize) {
+        const recipients = addresses.slice(i, i + this.addressChunkSize).map(address => ethers.zeroPadValue(address, 32));
+
+        const logs = await this.provider.getLogs({
+          address: tokenAddresses,
+          fromBlock: start,
+          toBlock: end,
+          topics: [TRANSFER_TOPIC, null, recipients]
+        });
+
+        for (const log of logs) {
+          if (log.removed || log.topics.length < 3) {
+            continue;
+          }
+
+          const block = await this.getBlock(log.blockNumber, blocks);
+          transfers.push({
+            kind: 'erc20',
+            tokenAddress: log.address.toLowerCase(),
+            from: '0x' + log.topics[1].slice(26).toLowerCase(),
+            to: '0x' + log.topics[2].slice(26).toLowerCase(),
+            value: BigInt(log.data === '0x' ? '0x0' : log.data),
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            timestamp: block.timestamp,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash
+          });
+        }
+      }
+
+      // -------------- Native ETH transfers to watched wallets --------------
+      if (this.includeNative) {
+        for (let blockNumber = start; blockNumber <= end; blockNumber++) {
+          const block = await this.getBlock(blockNumber, blocks, true);
+          if (!block) {
+            continue;
+          }
+
+          for (const tx of block.prefetchedTransactions) {
+            if (!tx.to || tx.value === 0n || !watched.has(tx.to.toLowerCase())) {
+              continue;
+            }
+
+            // A reverted transaction moved no ETH
+            const receipt = await this.provider.getTransactionReceipt(tx.hash);
+            if (!receipt || receipt.status !== 1) {
+              continue;
+            }
+
+            transfers.push({
+              kind: 'native',
+              from: tx.from.toLowerCase(),
+              to: tx.to.toLowerCase(),
+              value: tx.value,
+              txHash: tx.hash,
+              timestamp: block.timestamp,
+              blockNumber: block.number,
+              blockHash: block.hash
+            });
+          }
+        }
+      }
+    }
+
+    return transfers;
+  }
+}
+
+module.exports = BlockScanner;
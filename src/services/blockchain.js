@@ -1,6 +1,6 @@
 const { ethers } = require('ethers');
 require('dotenv').config();
-const SeasonGoalService = require('./seasonGoals');
+const SignerPool = require('./signerPool');
 
 // More complete ABI for the EON contract
 const EON_ABI = [
@@ -26,13 +26,37 @@ const USDC_ABI = [
   "function decimals() external view returns (uint8)"
 ];
 
+// Function to determine if an error is a rate limit error
+const isRateLimitError = (error) => {
+  return error && (
+    (error.message && (error.message.includes('rate limit') || error.message.includes('over rate limit'))) ||
+    (error.error && error.error.message && (error.error.message.includes('rate limit') || error.error.message.includes('over rate limit'))) ||
+    (error.code === -32016) ||
+    (error.error && error.error.code === -32016)
+  );
+};
+
+// Whether a call failed because the contract reverted, as opposed to the RPC failing
+const isRevertError = (error) => {
+  return error && (
+    error.code === 'CALL_EXCEPTION' ||
+    Boolean(error.revert) ||
+    (error.message && error.message.includes('execution reverted'))
+  );
+};
+
 class BlockchainService {
   constructor() {
     // Use Alchemy endpoint for higher rate limits
     const rpcUrl = process.env.ALCHEMY_BASE_RPC_URL || process.env.BASE_RPC_URL;
     console.log(`Using RPC endpoint: ${rpcUrl === process.env.ALCHEMY_BASE_RPC_URL ? 'Alchemy (higher rate limits)' : 'Base RPC'}`);
     this.provider = new ethers.JsonRpcProvider(rpcUrl);
-    this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+    
+    // Executor wallets used round-robin for donate(); each has its own nonce manager
+    this.signerPool = new SignerPool(this.provider, (contractAddress) => this.getEonContract(contractAddress));
+    
+    // The first executor is used for read-only contract calls
+    this.wallet = this.signerPool.signers[0].wallet;
     
     // Store the default EON contract (from .env) as a fallback
     this.defaultEonContract = new ethers.Contract(
@@ -55,16 +79,27 @@ class BlockchainService {
     );
     
     this.decimals = 6; // Default for USDC, will be confirmed in init()
+    
+    // Shadow mode: donations are simulated but never broadcast
+    this.dryRun = process.env.DRY_RUN === 'true';
+    if (this.dryRun) {
+      console.log('⚠️ DRY_RUN is enabled - donations will be simulated but never broadcast');
+    }
   }
 
   async init() {
     try {
-      // Check if our wallet is an executor on the default EON contract
-      const isExecutor = await this.defaultEonContract.isExecutor(this.wallet.address);
-      if (!isExecutor) {
-        console.error("Warning: The wallet is not registered as an executor in the default EON contract");
+      // Check which of our wallets are executors on the default EON contract
+      for (const signer of this.signerPool.signers) {
+        const isExecutor = await this.signerPool.isExecutorFor(signer, process.env.EON_CONTRACT_ADDRESS);
+        if (!isExecutor) {
+          console.error(`Warning: The wallet ${signer.address} is not registered as an executor in the default EON contract`);
+        }
       }
       
+      // Resume watching any donations left pending by a previous run and start balance monitoring
+      await this.signerPool.init();
+      
       // Get USDC decimals
       this.decimals = await this.usdcContract.decimals();
       console.log(`USDC configured with ${this.decimals} decimals`);
@@ -134,20 +169,202 @@ class BlockchainService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async processDonations(donationData) {
+  // Look up the donate() transaction that emitted a Donation event for the given entry.
+  // Used to reconcile queue items that may have been broadcast right before a crash.
+  async findDonationTransaction(contractAddress, from, to, donationTime, fromBlock) {
+    const eonContract = this.getEonContract(contractAddress);
+    const events = await eonContract.queryFilter(
+      eonContract.filters.Donation(from, to),
+      fromBlock,
+      'latest'
+    );
+
+    const match = events.find(event => event.args.donationTime.toString() === donationTime.toString());
+    return match ? match.transactionHash : null;
+  }
+
+  // Turn a failed call into a human readable revert reason
+  decodeRevertReason(contract, error) {
+    // ethers already decoded Error(string), Panic(uint) or a custom error from the ABI
+    if (error.revert) {
+      const { name, args } = error.revert;
+      if (name === 'Error' && args.length > 0) {
+        return args[0];
+      }
+      return `${name}(${Array.from(args).map(arg => arg.toString()).join(', ')})`;
+    }
+    
+    if (error.reason) {
+      return error.reason;
+    }
+    
+    // Fall back to decoding the raw revert data ourselves
+    const data = error.data || (error.info && error.info.error && error.info.error.data) || (error.error && error.error.data);
+    if (typeof data === 'string' && data !== '0x') {
+      try {
+        const parsed = contract.interface.parseError(data);
+        if (parsed) {
+          return `${parsed.name}(${Array.from(parsed.args).map(arg => arg.toString()).join(', ')})`;
+        }
+      } catch (parseError) {
+        // Unknown selector, report the raw data below
+      }
+      return `Reverted with data ${data}`;
+    }
+    
+    return error.shortMessage || error.message || 'Unknown revert reason';
+  }
+
+  // Decode the Donation events emitted by an EON contract in a receipt
+  parseDonationEvents(contractAddress, receipt) {
+    const eonContract = this.getEonContract(contractAddress);
+    const target = eonContract.target.toLowerCase();
+    const events = [];
+    
+    for (const log of receipt.logs || []) {
+      if (log.address.toLowerCase() !== target) {
+        continue;
+      }
+      
+      let parsed;
+      try {
+        parsed = eonContract.interface.parseLog(log);
+      } catch (error) {
+        continue; // Not an event from our ABI
+      }
+      
+      if (parsed && parsed.name === 'Donation') {
+        events.push({
+          from: parsed.args.from.toLowerCase(),
+          to: parsed.args.to.toLowerCase(),
+          quantity: parsed.args.quantity,
+          fee: parsed.args.fee,
+          donationTime: parsed.args.donationTime,
+          logIndex: log.index
+        });
+      }
+    }
+    
+    return events;
+  }
+
+  // Match submitted entries ({ from, to, donationTime, amount }) to the Donation events in a receipt.
+  // Returns one settlement per entry: { quantity, fee, status } where status is
+  //   matched  - the contract moved what we asked for (as quantity, or quantity + fee)
+  //   mismatch - an event was found but the amounts differ
+  //   missing  - no Donation event was emitted for the entry
+  reconcileReceipt(contractAddress, receipt, entries) {
+    const events = this.parseDonationEvents(contractAddress, receipt);
+    const used = new Set();
+    
+    return entries.map(entry => {
+      const eventIndex = events.findIndex((event, i) =>
+        !used.has(i) &&
+        event.from === entry.from.toLowerCase() &&
+        event.to === entry.to.toLowerCase() &&
+        event.donationTime.toString() === entry.donationTime.toString()
+      );
+      
+      if (eventIndex === -1) {
+        console.error(`No Donation event found in ${receipt.hash} for ${entry.from} -> ${entry.to}`);
+        return { quantity: null, fee: null, status: 'missing' };
+      }
+      
+      used.add(eventIndex);
+      const { quantity, fee } = events[eventIndex];
+      const requested = BigInt(entry.amount);
+      const status = quantity === requested || quantity + fee === requested ? 'matched' : 'mismatch';
+      
+      if (status === 'mismatch') {
+        console.error(`Donation ${entry.from} -> ${entry.to} in ${receipt.hash} moved ${quantity} (fee ${fee}) but ${requested} was requested`);
+      }
+      
+      return { quantity: quantity.toString(), fee: fee.toString(), status };
+    });
+  }
+
+  // { receipt, dropped } for a donation hash, following fee-bumped replacements of the same nonce
+  async getTransactionStatus(txHash) {
+    return this.signerPool.getStatusForHash(txHash);
+  }
+
+  // Replay a mined transaction at its block to recover the revert reason
+  async getRevertReason(txHash, contractAddress) {
+    try {
+      const tx = await this.provider.getTransaction(txHash);
+      if (!tx) {
+        return null;
+      }
+      
+      await this.provider.call({
+        to: tx.to,
+        from: tx.from,
+        data: tx.data,
+        value: tx.value,
+        blockTag: tx.blockNumber
+      });
+      return null;
+    } catch (error) {
+      return this.decodeRevertReason(this.getEonContract(contractAddress), error);
+    }
+  }
+
+  // Simulate donate() for a set of entries with staticCall.
+  // If the set reverts, bisect it to isolate the offending entries so the rest can still be sent.
+  // Returns { passing: [entries], failures: [{ index, reason }] }
+  async simulateDonations(eonContract, entries) {
+    if (entries.length === 0) {
+      return { passing: [], failures: [] };
+    }
+    
+    try {
+      await eonContract.donate.staticCall(
+        entries.map(entry => entry.from),
+        entries.map(entry => entry.to),
+        entries.map(entry => entry.donationTime),
+        entries.map(entry => entry.amount)
+      );
+      return { passing: entries, failures: [] };
+    } catch (error) {
+      // Rate limits and RPC errors say nothing about the batch, let the caller retry
+      if (isRateLimitError(error) || !isRevertError(error)) {
+        throw error;
+      }
+      
+      const reason = this.decodeRevertReason(eonContract, error);
+      
+      if (entries.length === 1) {
+        console.log(`Simulation failed for donation ${entries[0].from} -> ${entries[0].to}: ${reason}`);
+        return { passing: [], failures: [{ index: entries[0].index, reason }] };
+      }
+      
+      console.log(`Simulation of ${entries.length} donations reverted (${reason}), bisecting to find the offending entries...`);
+      const middle = Math.ceil(entries.length / 2);
+      const left = await this.simulateDonations(eonContract, entries.slice(0, middle));
+      const right = await this.simulateDonations(eonContract, entries.slice(middle));
+      
+      return {
+        passing: [...left.passing, ...right.passing],
+        failures: [...left.failures, ...right.failures]
+      };
+    }
+  }
+
+  // Returns { success, transactionHash, submitted: [{ index, amount, settlement }], failures: [{ index, reason }] }
+  // where index refers to the position of the entry in the donation data passed in.
+  // options.onSubmitted(txHash, submitted) is called as soon as the donate() transaction is broadcast.
+  // options.dryRun (or DRY_RUN=true) simulates and estimates gas but never broadcasts or touches season records;
+  // the result then carries dryRun: true, executor and gasLimit instead of a transactionHash.
+  async processDonations(donationData, options = {}) {
+    // DRY_RUN applies to every caller, not just the ones that ask for it
+    const dryRun = options.dryRun || this.dryRun;
+    
     // Retry configuration
     const maxRetries = 5;
     let currentRetry = 0;
     
-    // Function to determine if an error is a rate limit error
-    const isRateLimitError = (error) => {
-      return error && (
-        (error.message && (error.message.includes('rate limit') || error.message.includes('over rate limit'))) ||
-        (error.error && error.error.message && (error.error.message.includes('rate limit') || error.error.message.includes('over rate limit'))) ||
-        (error.code === -32016) ||
-        (error.error && error.error.code === -32016)
-      );
-    };
+    // Hash of the last broadcast transaction, reported even if waiting for it fails
+    let broadcastHash = null;
     
     while (currentRetry <= maxRetries) {
       try {
@@ -204,14 +421,14 @@ class BlockchainService {
         // Submit donation transaction
         console.log(`Submitting ${froms.length} donations to EON contract at ${eonContract.target}...`);
         
-        // Check if our wallet is an executor for this contract - with retry for rate limiting
-        let isExecutor = false;
+        // Pick an executor wallet that is funded and registered on this contract - with retry for rate limiting
+        let executor = null;
         let executorRetries = 0;
         const maxExecutorRetries = 3;
         
         while (executorRetries < maxExecutorRetries) {
           try {
-            isExecutor = await eonContract.isExecutor(this.wallet.address);
+            executor = await this.signerPool.getSigner(eonContract.target);
             break; // Success, exit the retry loop
           } catch (execError) {
             if (isRateLimitError(execError) && executorRetries < maxExecutorRetries - 1) {
@@ -225,20 +442,28 @@ class BlockchainService {
           }
         }
         
-        if (!isExecutor) {
-          console.error(`This wallet is not registered as an executor for the EON contract at ${eonContract.target}`);
-          return { success: false, message: "Wallet is not an executor for this contract" };
+        if (!executor) {
+          console.error(`None of our wallets is a funded executor for the EON contract at ${eonContract.target}`);
+          return { success: false, message: "No funded executor wallet for this contract" };
         }
         
-        // Check allowances before donating - with rate limit handling
+        // Simulate, estimate and send as the chosen executor
+        const executorContract = eonContract.connect(executor.wallet);
+        
+        // Check allowances before donating - with rate limit handling.
+        // Amounts are capped to what each wallet has left; entries with nothing left are not sent.
+        // Season completion is left to the confirmed donation totals and the season job.
+        const remainingAllowances = new Map();
+        const allowanceFailures = [];
         for (let i = 0; i < froms.length; i++) {
-          let allowance;
+          const wallet = froms[i].toLowerCase();
+          let allowance = remainingAllowances.get(wallet);
           let allowanceRetries = 0;
           const maxAllowanceRetries = 3;
           
-          while (allowanceRetries < maxAllowanceRetries) {
+          while (allowance === undefined && allowanceRetries < maxAllowanceRetries) {
             try {
-              allowance = await this.checkAllowance(froms[i], eonContract.target);
+              allowance = BigInt(await this.checkAllowance(froms[i], eonContract.target));
               break; // Success, exit the retry loop
             } catch (allowanceError) {
               if (isRateLimitError(allowanceError) && allowanceRetries < maxAllowanceRetries - 1) {
@@ -252,23 +477,16 @@ class BlockchainService {
             }
           }
           
-          if (BigInt(allowance) < BigInt(usdcAmounts[i])) {
+          if (allowance === 0n) {
+            console.log(`No allowance left for ${froms[i]}, not sending its donation of ${usdcAmounts[i]}`);
+            allowanceFailures.push({ index: i, reason: 'USDC allowance used up' });
+            continue;
+          }
+          if (allowance < BigInt(usdcAmounts[i])) {
             console.log(`Adjusting donation amount for ${froms[i]}: from ${usdcAmounts[i]} to ${allowance} (remaining allowance)`);
-            // Mark the season as completed since they've used all their allowance
-            try {
-              console.log(`Marking season as completed for ${froms[i]}`);
-              const season = await SeasonGoalService.getMostRecentSeason(froms[i]);
-              console.log('Retrieved season:', season);
-              if (season && season._id) {
-                await SeasonGoalService.markSeasonCompleted(season._id);
-              } else {
-                console.error(`No active season found for wallet ${froms[i]}`);
-              }
-            } catch (error) {
-              console.error(`Error marking season as completed for wallet ${froms[i]}:`, error);
-            }
             usdcAmounts[i] = allowance.toString();
           }
+          remainingAllowances.set(wallet, allowance - BigInt(usdcAmounts[i]));
         }
         
         if (froms.length === 0) {
@@ -276,11 +494,90 @@ class BlockchainService {
           return { success: false, message: "No donations with sufficient allowance" };
         }
         
-        // Send the donation with retry for rate limiting
-        let tx;
+        // Simulate before broadcasting so a single bad entry can't sink the whole batch
+        const notSent = new Set(allowanceFailures.map(failure => failure.index));
+        const entries = froms.map((from, index) => ({
+          index,
+          from,
+          to: tos[index],
+          donationTime: donationTimes[index],
+          amount: usdcAmounts[index]
+        })).filter(entry => !notSent.has(entry.index));
+        const simulation = await this.simulateDonations(executorContract, entries);
+        const passing = simulation.passing;
+        const failures = [...allowanceFailures, ...simulation.failures];
+        
+        if (passing.length === 0) {
+          console.error(`All ${froms.length} donations failed the allowance check or simulation`);
+          return {
+            success: false,
+            message: `Not sent: ${failures.map(failure => failure.reason).join('; ')}`,
+            submitted: [],
+            failures
+          };
+        }
+        
+        const passingArgs = [
+          passing.map(entry => entry.from),
+          passing.map(entry => entry.to),
+          passing.map(entry => entry.donationTime),
+          passing.map(entry => entry.amount)
+        ];
+        
+        // Estimate gas for the entries that passed, with some headroom
+        let gasLimit;
         try {
-          tx = await eonContract.donate(froms, tos, donationTimes, usdcAmounts);
+          const estimatedGas = await executorContract.donate.estimateGas(...passingArgs);
+          gasLimit = (estimatedGas * 120n) / 100n;
+        } catch (estimateError) {
+          if (isRateLimitError(estimateError) || !isRevertError(estimateError)) {
+            throw estimateError;
+          }
+          const reason = this.decodeRevertReason(eonContract, estimateError);
+          console.error(`Gas estimation failed for donation batch: ${reason}`);
+          return {
+            success: false,
+            message: `Gas estimation failed: ${reason}`,
+            submitted: [],
+            failures: [
+              ...failures,
+              ...passing.map(entry => ({ index: entry.index, reason }))
+            ]
+          };
+        }
+        
+        const submitted = passing.map(entry => ({ index: entry.index, amount: entry.amount.toString() }));
+        if (failures.length > 0) {
+          console.log(`Sending ${passing.length} of ${froms.length} donations, ${failures.length} failed the allowance check or simulation`);
+        }
+        
+        // Shadow mode stops here: everything up to the broadcast has been checked
+        if (dryRun) {
+          console.log(`[DRY RUN] Would send ${passing.length} donation(s) from ${executor.address} with gas limit ${gasLimit}`);
+          return {
+            success: true,
+            dryRun: true,
+            message: "Simulation succeeded, transaction not broadcast",
+            executor: executor.address,
+            gasLimit: gasLimit.toString(),
+            submitted,
+            failures
+          };
+        }
+        
+        // Send the donation through the nonce manager so concurrent callers never collide
+        let sent;
+        try {
+          const txRequest = await executorContract.donate.populateTransaction(...passingArgs, { gasLimit });
+          sent = await executor.nonceManager.sendTransaction(txRequest);
         } catch (txError) {
+          // Take an unfunded executor out of rotation and try again with the next one
+          if (txError.code === 'INSUFFICIENT_FUNDS' && currentRetry < maxRetries) {
+            this.signerPool.markOutOfGas(executor);
+            currentRetry++;
+            continue;
+          }
+          
           if (isRateLimitError(txError) && currentRetry < maxRetries) {
             const backoffTime = Math.pow(2, currentRetry) * 1000; // Exponential backoff starting at 1s
             console.log(`Rate limited when sending transaction. Retrying in ${backoffTime}ms... (Attempt ${currentRetry + 1}/${maxRetries})`);
@@ -292,35 +589,52 @@ class BlockchainService {
           }
         }
         
-        // Wait for transaction to be processed, with retry for rate limiting
-        let receipt;
-        let receiptRetries = 0;
-        const maxReceiptRetries = 5;
+        broadcastHash = sent.hash;
         
-        while (receiptRetries < maxReceiptRetries) {
+        // Let the caller record the broadcast before we wait for the receipt
+        if (options.onSubmitted) {
           try {
-            receipt = await tx.wait();
-            break; // Success, exit the retry loop
-          } catch (receiptError) {
-            if (isRateLimitError(receiptError) && receiptRetries < maxReceiptRetries - 1) {
-              const backoffTime = Math.pow(2, receiptRetries) * 1000; // Exponential backoff
-              console.log(`Rate limited when waiting for receipt. Retrying in ${backoffTime}ms...`);
-              await this.delay(backoffTime);
-              receiptRetries++;
-            } else {
-              throw receiptError; // Not a rate limit error or max retries reached
-            }
+            await options.onSubmitted(sent.hash, submitted);
+          } catch (callbackError) {
+            console.error(`Error recording submitted transaction ${sent.hash}:`, callbackError);
           }
         }
         
+        // Wait for the transaction (or a fee-bumped replacement) to be mined
+        const receipt = await executor.nonceManager.waitForReceipt(sent.record);
+        
+        if (receipt.status !== 1) {
+          const reason = await this.getRevertReason(receipt.hash, contractAddress);
+          throw new Error(`Donation transaction ${receipt.hash} reverted${reason ? `: ${reason}` : ''}`);
+        }
+        
+        // Attach what the contract actually moved to each submitted entry
+        const settlements = this.reconcileReceipt(contractAddress, receipt, passing);
+        submitted.forEach((entry, i) => {
+          entry.settlement = settlements[i];
+        });
+        
         console.log(`Donations processed successfully. Transaction hash: ${receipt.hash}`);
         return {
           success: true,
           message: `Donations processed successfully`,
-          transactionHash: receipt.hash
+          transactionHash: receipt.hash,
+          submitted,
+          failures
         };
         
       } catch (error) {
+        // Never retry the whole operation once a transaction is out - that would donate twice
+        if (broadcastHash) {
+          console.error(`Error after broadcasting donation ${broadcastHash}:`, error.message);
+          return {
+            success: false,
+            message: `Error processing donations: ${error.message}`,
+            transactionHash: broadcastHash,
+            error
+          };
+        }
+        
         // Check if it's a rate limit error and we haven't exceeded max retries
         if (isRateLimitError(error) && currentRetry < maxRetries) {
           const backoffTime = Math.pow(2, currentRetry) * 1000; // Exponential backoff starting at 1s
@@ -333,6 +647,7 @@ class BlockchainService {
           return {
             success: false,
             message: `Error processing donations: ${error.message}`,
+            transactionHash: broadcastHash,
             error
           };
         }
@@ -342,7 +657,8 @@ class BlockchainService {
     // If we've exhausted all retries
     return {
       success: false,
-      message: "Failed to process donations after maximum retries due to rate limiting"
+      message: "Failed to process donations after maximum retries due to rate limiting",
+      transactionHash: broadcastHash
     };
   }
 }
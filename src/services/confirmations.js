@@ -0,0 +1,228 @@
+const ObservedTransferModel = require('../models/ObservedTransfer');
+const blockchainService = require('./blockchain');
+const idempotency = require('./idempotency');
+require('dotenv').config();
+
+// Shadow mode keeps its own record of observed transfers
+const ObservedTransfer = blockchainService.dryRun ? ObservedTransferModel.Shadow : ObservedTransferModel;
+
+// Confirmation policy for stream events. Unconfirmed deliveries are only recorded;
+// a transfer is handed to the donation pipeline once Moralis sends the confirmed
+// webhook or the provider shows it CONFIRMATION_BLOCKS deep, whichever comes first.
+// Provisional transfers whose transaction disappears from the chain are cancelled.
+class ConfirmationService {
+  constructor() {
+    this.requiredConfirmations = parseInt(process.env.CONFIRMATION_BLOCKS || '', 10) || 12;
+    this.checkIntervalMs = parseInt(process.env.CONFIRMATION_CHECK_MS || '', 10) || 15 * 1000; // 15 seconds
+
+    // How long a transaction may be missing from the chain before its transfer is cancelled
+    this.dropTimeoutMs = parseInt(process.env.PROVISIONAL_DROP_TIMEOUT_MS || '', 10) || 10 * 60 * 1000; // 10 minutes
+
+    this.provider = null;
+    this.onConfirmed = null;
+    this.isChecking = false;
+  }
+
+  // Start watching provisional transfers. onConfirmed(transfer) is called once per confirmed transfer.
+  start(provider, onConfirmed) {
+    this.provider = provider;
+    this.onConfirmed = onConfirmed;
+
+    console.log(`Confirmation policy: confirmed webhook or ${this.requiredConfirmations} blocks`);
+
+    setInterval(() => {
+      this.checkProvisional().catch(error => {
+        console.error('Error checking provisional transfers:', error);
+      });
+    }, this.checkIntervalMs);
+  }
+
+  // Key identifying a transfer
+  transferKey(transfer) {
+    return {
+      txHash: transfer.txHash,
+      logIndex: idempotency.normalizeLogIndex(transfer.logIndex)
+    };
+  }
+
+  // Convert a stored record back to the transfer shape used by the webhook handler
+  toTransfer(record) {
+    return {
+      kind: record.kind,
+      tokenAddress: record.tokenAddress,
+      from: record.from,
+      to: record.to,
+      value: BigInt(record.value || '0'),
+      txHash: record.txHash,
+      logIndex: record.logIndex,
+      // Carried through so the transfer is priced at its block
+      blockNumber: record.blockNumber,
+      blockHash: record.blockHash,
+      timestamp: record.blockTimestamp
+    };
+  }
+
+  // Fields stored for a transfer
+  transferFields(transfer) {
+    return {
+      ...this.transferKey(transfer),
+      kind: transfer.kind,
+      tokenAddress: transfer.tokenAddress,
+      from: transfer.from,
+      to: transfer.to,
+      value: transfer.value.toString(),
+      blockNumber: transfer.blockNumber,
+      blockHash: transfer.blockHash,
+      blockTimestamp: transfer.timestamp,
+      streamId: transfer.streamId
+    };
+  }
+
+  // Record an unconfirmed transfer. Does nothing if it was already seen.
+  async recordProvisional(transfer) {
+    const result = await ObservedTransfer.updateOne(
+      this.transferKey(transfer),
+      { $setOnInsert: { ...this.transferFields(transfer), status: 'provisional' } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      console.log(`Recorded provisional transfer ${transfer.txHash} (log ${transfer.logIndex}) to ${transfer.to}, waiting for confirmation`);
+    }
+  }
+
+  // Whether a transfer was already confirmed (and so handed to the pipeline)
+  async isConfirmed(transfer) {
+    return Boolean(await ObservedTransfer.exists({ ...this.transferKey(transfer), status: 'confirmed' }));
+  }
+
+  // Hand a confirmed transfer to the pipeline, then mark it confirmed. A transfer is only
+  // marked once handle(transfer) has enqueued or held its donations, so if handling fails
+  // or the process dies first, the webhook retry or the backfill picks it up again.
+  // The webhook and the block check may both hand it on in a race; the pipeline's
+  // idempotency keys keep that to one donation. Returns false if it was already confirmed.
+  // options.replay hands it on even if it was confirmed before.
+  async handOff(transfer, confirmedBy, handle, options = {}) {
+    if (!options.replay && await this.isConfirmed(transfer)) {
+      return false;
+    }
+
+    await handle(transfer);
+    await this.confirm(transfer, confirmedBy);
+    return true;
+  }
+
+  // Mark a transfer confirmed. Returns true only for the call that confirmed it.
+  async confirm(transfer, confirmedBy) {
+    try {
+      // A cancelled transfer can still be confirmed if it made it back into the chain
+      await ObservedTransfer.findOneAndUpdate(
+        { ...this.transferKey(transfer), status: { $ne: 'confirmed' } },
+        {
+          $set: { status: 'confirmed', confirmedBy, confirmedAt: new Date() },
+          $setOnInsert: this.transferFields(transfer)
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The upsert collided with an already confirmed record
+      if (idempotency.isDuplicateKeyError(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Cancel a provisional transfer whose transaction is gone
+  async cancel(record, reason) {
+    await ObservedTransfer.updateOne(
+      { _id: record._id, status: 'provisional' },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason } }
+    );
+    console.log(`⚠️ Cancelled provisional transfer ${record.txHash} (log ${record.logIndex}): ${reason}`);
+  }
+
+  // Promote provisional transfers that are deep enough and cancel the ones that disappeared
+  async checkProvisional() {
+    if (this.isChecking || !this.provider) {
+      return;
+    }
+
+    try {
+      this.isChecking = true;
+
+      const provisional = await ObservedTransfer.find({ status: 'provisional' }).sort({ createdAt: 1 }).limit(100);
+      if (provisional.length === 0) {
+        return;
+      }
+
+      const head = await this.provider.getBlockNumber();
+
+      for (const record of provisional) {
+        try {
+          const receipt = await this.provider.getTransactionReceipt(record.txHash);
+
+          if (!receipt) {
+            // Reorged out: it may come back from the mempool, so give it some time
+            const missingForMs = Date.now() - new Date(record.createdAt).getTime();
+            if (missingForMs > this.dropTimeoutMs && !(await this.provider.getTransaction(record.txHash))) {
+              await this.cancel(record, 'Transaction no longer on chain');
+            }
+            continue;
+          }
+
+          if (receipt.status !== 1) {
+            await this.cancel(record, `Transaction reverted in block ${receipt.blockNumber}`);
+            continue;
+          }
+
+          // Re-included in a different block after a reorg - count confirmations from there
+          if (record.blockHash && receipt.blockHash !== record.blockHash) {
+            console.log(`Transfer ${record.txHash} moved from block ${record.blockNumber} to ${receipt.blockNumber} after a reorg`);
+            await ObservedTransfer.updateOne(
+              { _id: record._id },
+              { $set: { blockNumber: receipt.blockNumber, blockHash: receipt.blockHash } }
+            );
+            record.blockNumber = receipt.blockNumber;
+            record.blockHash = receipt.blockHash;
+          }
+
+          const confirmations = head - receipt.blockNumber + 1;
+          if (confirmations < this.requiredConfirmations) {
+            continue;
+          }
+
+          const transfer = this.toTransfer(record);
+          if (await this.handOff(transfer, 'blocks', this.onConfirmed)) {
+            console.log(`Transfer ${record.txHash} (log ${record.logIndex}) confirmed by ${confirmations} blocks`);
+          }
+        } catch (error) {
+          console.error(`Error checking provisional transfer ${record.txHash}:`, error.message);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Transfers in a given status, newest first
+  async list(status = 'provisional', limit = 100) {
+    return ObservedTransfer.find({ status }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  // Counts by status for monitoring
+  async getStats() {
+    const results = await ObservedTransfer.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { provisional: 0, confirmed: 0, cancelled: 0 };
+    for (const { _id, count } of results) {
+      stats[_id] = count;
+    }
+    return stats;
+  }
+}
+
+module.exports = new ConfirmationService();
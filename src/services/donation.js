@@ -120,7 +120,8 @@ class DonationService {
       // Process the donations
       const result = await blockchainService.processDonations(donationBatch);
       
-      if (result.success) {
+      // A dry run only simulated the batch, so nothing was actually donated
+      if (result.success && !result.dryRun) {
         // Update the lastDonation for successful wallets
         const currentTimestamp = Math.floor(Date.now() / 1000);
         await ExistingWallet.updateMany(
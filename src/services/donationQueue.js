@@ -0,0 +1,318 @@
+const os = require('os');
+const DonationQueueItem = require('../models/DonationQueueItem');
+const idempotency = require('./idempotency');
+require('dotenv').config();
+
+class DonationQueue {
+  constructor() {
+    // Identify this process so leases can be traced back to a worker
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    // How long a worker may hold an item before another worker can take it over
+    this.leaseMs = parseInt(process.env.DONATION_QUEUE_LEASE_MS || '', 10) || 5 * 60 * 1000; // 5 minutes
+    
+    // Batching window: donations for the same EON contract are sent together in one donate() call
+    this.maxBatchSize = parseInt(process.env.DONATION_BATCH_MAX_SIZE || '', 10) || 10;
+    this.maxBatchWaitMs = parseInt(process.env.DONATION_BATCH_MAX_WAIT_MS || '', 10) || 10 * 1000; // 10 seconds
+
+    // Backoff for donations that failed before broadcast for a reason that can clear up
+    this.retryBaseMs = parseInt(process.env.DONATION_RETRY_BASE_MS || '', 10) || 30 * 1000; // 30 seconds
+    this.retryMaxMs = parseInt(process.env.DONATION_RETRY_MAX_MS || '', 10) || 30 * 60 * 1000; // 30 minutes
+    this.maxAttempts = parseInt(process.env.DONATION_MAX_ATTEMPTS || '', 10) || 8;
+  }
+
+  // How long an item waits before its next attempt, doubling with every attempt
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxMs);
+  }
+
+  // Query for queued items that no worker currently holds
+  claimableQuery(extra = {}) {
+    return {
+      ...extra,
+      state: 'queued',
+      $or: [
+        { leaseExpiresAt: null },
+        { leaseExpiresAt: { $lte: new Date() } }
+      ]
+    };
+  }
+
+  // Calculate a lease expiry date from now
+  leaseExpiry() {
+    return new Date(Date.now() + this.leaseMs);
+  }
+
+  // Persist a donation so it survives restarts.
+  // With waitingForPrice the donation has no amount yet and is held until releaseWaitingForPrice().
+  // reservation ({ seasonId, units }) is the room already reserved under the season goal.
+  // A failed item for the same key is queued again; returns null if the same source
+  // transfer is otherwise already queued for this configuration.
+  async enqueue(donation, { waitingForPrice = false, reason, reservation } = {}) {
+    const key = idempotency.buildKey(donation.txHash, donation.logIndex, donation.configId);
+
+    try {
+      const item = await DonationQueueItem.create({
+        ...key,
+        contractAddress: (donation.authorized || process.env.EON_CONTRACT_ADDRESS || '').toLowerCase(),
+        donation,
+        state: waitingForPrice ? 'waiting_for_price' : 'queued',
+        reservation: reservation ? { ...reservation, state: 'held' } : undefined,
+        error: reason
+      });
+
+      console.log(`Persisted donation ${item._id} for transaction ${donation.txHash} to the queue${waitingForPrice ? ' (waiting for price)' : ''}`);
+      return item;
+    } catch (error) {
+      if (!idempotency.isDuplicateKeyError(error)) {
+        throw error;
+      }
+
+      const retried = await this.retryFailed(key, donation, { waitingForPrice, reason, reservation });
+      if (retried) {
+        return retried;
+      }
+      console.log(`DUPLICATE PREVENTION: Transaction ${donation.txHash} (log ${key.logIndex}) already queued for config ${key.configId}`);
+      return null;
+    }
+  }
+
+  // Put a failed item for this key back in the queue as a fresh donation.
+  // Returns the item, or null if there is no failed item for the key.
+  async retryFailed(key, donation, { waitingForPrice = false, reason, reservation } = {}) {
+    const update = {
+      $set: {
+        contractAddress: (donation.authorized || process.env.EON_CONTRACT_ADDRESS || '').toLowerCase(),
+        donation,
+        state: waitingForPrice ? 'waiting_for_price' : 'queued',
+        attempts: 0,
+        error: reason,
+        lockedBy: null,
+        leaseExpiresAt: null,
+        submittingFromBlock: null,
+        priceCheckedAt: null,
+        submittedAmount: null,
+        donationTxHash: null,
+        submittedAt: null
+      }
+    };
+    if (reservation) {
+      update.$set.reservation = { ...reservation, state: 'held' };
+    } else {
+      update.$unset = { reservation: '' };
+    }
+
+    const item = await DonationQueueItem.findOneAndUpdate({ ...key, state: 'failed' }, update, { new: true });
+    if (item) {
+      console.log(`Requeued failed donation ${item._id} for transaction ${donation.txHash}${waitingForPrice ? ' (waiting for price)' : ''}`);
+    }
+    return item;
+  }
+
+  // Atomically claim the oldest queued item whose lease is free or expired
+  async claimNext(extra = {}) {
+    return DonationQueueItem.findOneAndUpdate(
+      this.claimableQuery(extra),
+      {
+        $set: { lockedBy: this.workerId, leaseExpiresAt: this.leaseExpiry() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Claim a batch of items for the EON contract with the oldest waiting donation.
+  // Returns an empty array until the batch is full or its oldest item has waited maxBatchWaitMs.
+  async claimBatch() {
+    const oldest = await DonationQueueItem.findOne(this.claimableQuery()).sort({ createdAt: 1 });
+    if (!oldest) {
+      return [];
+    }
+
+    const sameContract = { contractAddress: oldest.contractAddress };
+    const waitingCount = await DonationQueueItem.countDocuments(this.claimableQuery(sameContract));
+    const waitedMs = Date.now() - oldest.createdAt.getTime();
+
+    if (waitingCount < this.maxBatchSize && waitedMs < this.maxBatchWaitMs) {
+      return [];
+    }
+
+    const batch = [];
+    while (batch.length < this.maxBatchSize) {
+      const item = await this.claimNext(sameContract);
+      if (!item) {
+        break;
+      }
+      batch.push(item);
+    }
+
+    return batch;
+  }
+
+  // Mark an item as about to be broadcast, remembering the chain head for reconciliation
+  async markSubmitting(item, fromBlock, amount) {
+    return DonationQueueItem.findOneAndUpdate(
+      { _id: item._id, lockedBy: this.workerId },
+      {
+        $set: {
+          state: 'submitting',
+          submittingFromBlock: fromBlock,
+          submittedAmount: amount,
+          leaseExpiresAt: this.leaseExpiry()
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Record the hash of the broadcast donate() transaction
+  async markSubmitted(item, donationTxHash, amount) {
+    const update = {
+      state: 'submitted',
+      donationTxHash,
+      submittedAt: new Date(),
+      leaseExpiresAt: this.leaseExpiry()
+    };
+
+    if (amount !== undefined) {
+      update.submittedAmount = amount;
+    }
+
+    return DonationQueueItem.findByIdAndUpdate(item._id, { $set: update }, { new: true });
+  }
+
+  // Mark an item as confirmed on-chain and release its lease
+  async markConfirmed(item, donationTxHash) {
+    return DonationQueueItem.findByIdAndUpdate(
+      item._id,
+      {
+        $set: {
+          state: 'confirmed',
+          donationTxHash,
+          confirmedAt: new Date(),
+          leaseExpiresAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Mark an item as permanently failed and release its lease
+  async markFailed(item, error) {
+    return DonationQueueItem.findByIdAndUpdate(
+      item._id,
+      {
+        $set: {
+          state: 'failed',
+          error: error || 'Unknown error',
+          leaseExpiresAt: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Attach a season goal reservation made after the item was queued
+  async setReservation(item, reservation) {
+    return DonationQueueItem.findByIdAndUpdate(
+      item._id,
+      { $set: { reservation: { ...reservation, state: 'held' } } },
+      { new: true }
+    );
+  }
+
+  // Move a held reservation to 'committed' or 'released' (or, with fromState, back to 'held').
+  // Returns null if the reservation was not in fromState (already settled, or none), so it is settled only once.
+  async settleReservation(item, state, fromState = 'held') {
+    return DonationQueueItem.findOneAndUpdate(
+      { _id: item._id, 'reservation.state': fromState },
+      { $set: { 'reservation.state': state } },
+      { new: true }
+    );
+  }
+
+  // Put an item back in the queue so it can be claimed again.
+  // With delayMs it can't be claimed before then (the lease doubles as a not-before time).
+  async requeue(item, reason, { delayMs = 0 } = {}) {
+    return DonationQueueItem.findByIdAndUpdate(
+      item._id,
+      {
+        $set: {
+          state: 'queued',
+          error: reason,
+          lockedBy: null,
+          leaseExpiresAt: delayMs > 0 ? new Date(Date.now() + delayMs) : null,
+          submittingFromBlock: null,
+          submittedAmount: null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Items held until a trustworthy price is available, least recently checked first
+  async findWaitingForPrice(limit = 100) {
+    return DonationQueueItem.find({ state: 'waiting_for_price' })
+      .sort({ priceCheckedAt: 1, createdAt: 1 })
+      .limit(limit);
+  }
+
+  // Record that a held item still has no price
+  async markPriceChecked(item, reason) {
+    return DonationQueueItem.findByIdAndUpdate(
+      item._id,
+      { $set: { priceCheckedAt: new Date(), error: reason } },
+      { new: true }
+    );
+  }
+
+  // Move a held item into the queue with its valued donation.
+  // Returns null if another worker released it first.
+  async releaseWaitingForPrice(item, donation) {
+    return DonationQueueItem.findOneAndUpdate(
+      { _id: item._id, state: 'waiting_for_price' },
+      { $set: { state: 'queued', donation, priceCheckedAt: new Date(), error: null } },
+      { new: true }
+    );
+  }
+
+  // Items left in 'submitting' by a worker whose lease has run out
+  async findAbandonedSubmitting() {
+    return DonationQueueItem.find({
+      state: 'submitting',
+      leaseExpiresAt: { $lte: new Date() }
+    }).sort({ createdAt: 1 });
+  }
+
+  // Items broadcast but not yet confirmed, excluding ones a live worker is still waiting on
+  async findUnconfirmedSubmitted() {
+    return DonationQueueItem.find({
+      state: 'submitted',
+      $or: [
+        { leaseExpiresAt: null },
+        { leaseExpiresAt: { $lte: new Date() } }
+      ]
+    }).sort({ submittedAt: 1 });
+  }
+
+  // Count items per state for status reporting
+  async getStats() {
+    const counts = await DonationQueueItem.aggregate([
+      { $group: { _id: '$state', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { waiting_for_price: 0, queued: 0, submitting: 0, submitted: 0, confirmed: 0, failed: 0 };
+    for (const { _id, count } of counts) {
+      stats[_id] = count;
+    }
+    return stats;
+  }
+
+  // List queue items, optionally filtered by state
+  async list(state, limit = 100) {
+    const query = state ? { state } : {};
+    return DonationQueueItem.find(query).sort({ createdAt: -1 }).limit(limit);
+  }
+}
+
+module.exports = new DonationQueue();
@@ -0,0 +1,154 @@
+const axios = require('axios');
+const PriceCandle = require('../models/PriceCandle');
+const { PRICE_PROVIDERS, getProviderPriority } = require('./priceProviders');
+require('dotenv').config();
+
+// USD prices at a transfer's block time. Donations are valued at the moment
+// the tip was received, not when the queue gets around to them, and a
+// transfer is never valued with a guessed price: if neither the candle cache,
+// the on-chain oracle nor the candle APIs have a price close enough to the
+// block time, getPriceAt() returns null and the caller must not donate.
+// Sources are tried in the PRICE_PROVIDERS priority order.
+class HistoricalPriceService {
+  constructor() {
+    // Furthest a candle may be from the block time and still be used
+    this.maxCandleGap = parseInt(process.env.PRICE_MAX_CANDLE_GAP_SECONDS || '', 10) || 5 * 60; // 5 minutes
+
+    // Oldest a Chainlink answer may be relative to the block time
+    this.maxOracleAge = parseInt(process.env.PRICE_MAX_AGE_SECONDS || '', 10) || 60 * 60; // 1 hour
+
+    this.providers = getProviderPriority();
+  }
+
+  // Price of one whole unit of asset in USD at timestamp (unix seconds).
+  // asset is USD, ETH or coingecko:<id>. Returns { usd, source, timestamp } or null.
+  async getPriceAt(asset, timestamp, { blockNumber } = {}) {
+    if (asset === 'USD') {
+      return { usd: 1, source: 'peg', timestamp };
+    }
+
+    const cached = await this.findCandle(asset, timestamp);
+    if (cached) {
+      return cached;
+    }
+
+    for (const provider of this.providers) {
+      const adapter = PRICE_PROVIDERS[provider];
+      if (!adapter.supports(asset)) {
+        continue;
+      }
+
+      // The oracle can only be read at a known block
+      if (provider === 'chainlink') {
+        const oraclePrice = blockNumber ? await this.readOracle(asset, blockNumber, timestamp) : null;
+        if (oraclePrice) {
+          return oraclePrice;
+        }
+        continue;
+      }
+
+      const fetch = provider === 'coingecko'
+        ? () => this.fetchCoinGeckoCandles(adapter.coinId(asset), timestamp)
+        : () => this.fetchCryptoCompareCandles(adapter.symbol(asset), timestamp);
+      await this.fetchCandles(asset, timestamp, fetch);
+
+      const candle = await this.findCandle(asset, timestamp);
+      if (candle) {
+        return candle;
+      }
+    }
+
+    return null;
+  }
+
+  // Nearest cached candle within maxCandleGap of timestamp
+  async findCandle(asset, timestamp) {
+    const candles = await PriceCandle.find({
+      asset,
+      time: { $gte: timestamp - this.maxCandleGap, $lte: timestamp + this.maxCandleGap }
+    }).lean();
+
+    if (candles.length === 0) {
+      return null;
+    }
+
+    const nearest = candles.reduce((best, candle) =>
+      Math.abs(candle.time - timestamp) < Math.abs(best.time - timestamp) ? candle : best
+    );
+    return { usd: nearest.price, source: `candle:${nearest.source}`, timestamp: nearest.time };
+  }
+
+  // Load the candles around timestamp returned by fetch() into the cache
+  async fetchCandles(asset, timestamp, fetch) {
+    try {
+      const candles = await fetch();
+
+      if (candles.length === 0) {
+        console.error(`No ${asset} price candles available around ${new Date(timestamp * 1000).toISOString()}`);
+        return;
+      }
+
+      await PriceCandle.bulkWrite(candles.map(candle => ({
+        updateOne: {
+          filter: { asset, time: candle.time },
+          update: { $setOnInsert: { asset, ...candle } },
+          upsert: true
+        }
+      })));
+    } catch (error) {
+      console.error(`Error fetching ${asset} price candles:`, error.message);
+    }
+  }
+
+  // Minute candles for the hour up to shortly after timestamp (CryptoCompare keeps 7 days of minute data)
+  async fetchCryptoCompareCandles(symbol, timestamp) {
+    const response = await axios.get('https://min-api.cryptocompare.com/data/v2/histominute', {
+      params: { fsym: symbol, tsym: 'USD', limit: 60, toTs: timestamp + this.maxCandleGap }
+    });
+
+    const data = response.data && response.data.Data && response.data.Data.Data;
+    if (!Array.isArray(data)) {
+      return [];
+    }
+
+    // Minutes without trades come back as all-zero candles
+    return data
+      .filter(candle => candle.close > 0)
+      .map(candle => ({ time: candle.time, price: candle.close, source: 'cryptocompare' }));
+  }
+
+  // Price points around timestamp (CoinGecko returns 5-minute points for ranges under a day)
+  async fetchCoinGeckoCandles(coingeckoId, timestamp) {
+    const response = await axios.get(`https://api.coingecko.com/api/v3/coins/${encodeURIComponent(coingeckoId)}/market_chart/range`, {
+      params: { vs_currency: 'usd', from: timestamp - 30 * 60, to: timestamp + 30 * 60 }
+    });
+
+    const prices = response.data && response.data.prices;
+    if (!Array.isArray(prices)) {
+      return [];
+    }
+
+    return prices
+      .filter(([, price]) => price > 0)
+      .map(([ms, price]) => ({ time: Math.floor(ms / 60000) * 60, price, source: 'coingecko' }));
+  }
+
+  // Chainlink answer as of blockNumber, or null if it can't be read or was stale at that block
+  async readOracle(asset, blockNumber, timestamp) {
+    try {
+      const quote = await PRICE_PROVIDERS.chainlink.fetch(asset, { blockTag: blockNumber });
+
+      if (timestamp - quote.updatedAt > this.maxOracleAge) {
+        console.error(`Chainlink ${asset}/USD answer at block ${blockNumber} was stale (updated ${timestamp - quote.updatedAt}s before the block)`);
+        return null;
+      }
+
+      return { usd: quote.price, source: 'oracle:chainlink', timestamp: quote.updatedAt };
+    } catch (error) {
+      console.error(`Error reading Chainlink ${asset}/USD at block ${blockNumber}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new HistoricalPriceService();
@@ -0,0 +1,79 @@
+const TransactionRecord = require('../models/TransactionRecord');
+const DonationQueueItem = require('../models/DonationQueueItem');
+
+// Log index used for transfers that have no log of their own (native ETH transfers)
+const NATIVE_LOG_INDEX = -1;
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+class IdempotencyService {
+  // Normalize a log index from webhook data (strings, numbers or missing)
+  normalizeLogIndex(logIndex) {
+    const parsed = parseInt(logIndex, 10);
+    return Number.isNaN(parsed) ? NATIVE_LOG_INDEX : parsed;
+  }
+
+  // Build the idempotency key for a source transfer and the configuration it triggers
+  buildKey(txHash, logIndex, configId) {
+    return {
+      txHash,
+      logIndex: this.normalizeLogIndex(logIndex),
+      configId: configId ? configId.toString() : null
+    };
+  }
+
+  // Check whether a source transfer has already produced (or is producing) a donation for a configuration
+  async hasBeenProcessed(txHash, logIndex, configId) {
+    const key = this.buildKey(txHash, logIndex, configId);
+
+    // Anything in the queue for this key means a donation was already scheduled,
+    // unless it failed: those can be queued again
+    const queued = await DonationQueueItem.exists({ ...key, state: { $ne: 'failed' } });
+    if (queued) {
+      return true;
+    }
+
+    // Records created before log indexes were tracked have no logIndex field
+    const recorded = await TransactionRecord.exists({
+      txHash: key.txHash,
+      configId: key.configId,
+      $or: [
+        { logIndex: key.logIndex },
+        { logIndex: { $exists: false } }
+      ],
+      status: { $in: ['success', 'pending'] }
+    });
+
+    return Boolean(recorded);
+  }
+
+  // Whether an error was raised by a unique index rejecting a duplicate key
+  isDuplicateKeyError(error) {
+    return Boolean(error) && error.code === DUPLICATE_KEY_ERROR;
+  }
+
+  // Replace the legacy unique txHash index with the (txHash, logIndex, configId) key
+  async ensureIndexes() {
+    try {
+      const indexes = await TransactionRecord.collection.indexes();
+      const legacyIndex = indexes.find(index => index.name === 'txHash_1' && index.unique);
+
+      if (legacyIndex) {
+        console.log('Dropping legacy unique txHash index on transaction_records');
+        await TransactionRecord.collection.dropIndex('txHash_1');
+      }
+    } catch (error) {
+      // The collection may not exist yet on a fresh database
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+    }
+
+    await TransactionRecord.createIndexes();
+    await DonationQueueItem.createIndexes();
+    console.log('Idempotency indexes are in place');
+  }
+}
+
+module.exports = new IdempotencyService();
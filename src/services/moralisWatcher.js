@@ -1,7 +1,15 @@
 const { ethers } = require('ethers');
 const ExistingWallet = require('../models/ExistingWallet');
 const TransactionRecord = require('../models/TransactionRecord');
+const ShadowDonation = require('../models/ShadowDonation');
 const blockchainService = require('./blockchain');
+const donationQueue = require('./donationQueue');
+const idempotency = require('./idempotency');
+const confirmationService = require('./confirmations');
+const backfillService = require('./backfill');
+const rpcIngestion = require('./rpcIngestion');
+const tokenRegistry = require('./tokenRegistry');
+const historicalPrice = require('./historicalPrice');
 const priceFeed = require('./priceFeed');
 const seasonGoalService = require('./seasonGoals');
 const moralisService = require('./moralis');
@@ -24,16 +32,16 @@ class MoralisWatcher {
     
     // Store watched wallets and transaction info
     this.watchedWallets = new Map(); // Map of address -> donation settings
-    this.transactionQueue = [];
     this.isProcessing = false;
-    this.lastProcessedBlock = 0;
-    
-    // Track processed transactions to avoid duplicates
-    this.processedTransactions = new Set();
-    this.maxTrackedTransactions = 5000; // Prevent memory leaks
     
     // Track whether the watched wallets have been synced to Moralis
     this.walletsSyncedToMoralis = false;
+    
+    // Where transfers come from: Moralis stream webhooks or polling the RPC provider
+    this.ingestionMode = (process.env.INGESTION_MODE || 'moralis').toLowerCase();
+    if (!['moralis', 'rpc'].includes(this.ingestionMode)) {
+      throw new Error(`Unknown INGESTION_MODE "${process.env.INGESTION_MODE}", expected "moralis" or "rpc"`);
+    }
   }
 
   // Utility: Only log if there are watched wallets
@@ -52,9 +60,6 @@ class MoralisWatcher {
       const latestBlockNumber = await this.provider.getBlockNumber();
       console.log(`Current chain head is at block ${latestBlockNumber}`);
       
-      // Store the current block number for reference
-      this.lastProcessedBlock = latestBlockNumber;
-      
       // Load initial set of wallets from database
       await this.refreshWatchedWallets();
       
@@ -66,16 +71,49 @@ class MoralisWatcher {
       });
       this.logWatched(''); // Empty line for readability
       
-      // Set up transaction processing loop
-      this.startProcessingLoop();
+      // Make sure the database enforces one donation per source transfer and config
+      await idempotency.ensureIndexes();
+      
+      // Load the tokens we accept before any transfer is filtered against them
+      await tokenRegistry.init();
+      
+      if (blockchainService.dryRun) {
+        // Shadow mode records to shadow_donations and leaves the real queue alone
+        console.log('DRY_RUN enabled - donations are simulated and written to shadow_donations');
+      } else {
+        // Resume or reconcile donations left mid-flight by a previous run
+        await this.reconcileInFlightDonations();
+        
+        // Set up transaction processing loop
+        this.startProcessingLoop();
+        
+        // Resume donations held by the price circuit breaker
+        this.startPriceHoldLoop();
+      }
       
       // Set up wallet refresh loop
       this.startWalletRefreshLoop();
       
-      // Initialize Moralis stream for monitoring
-      await this.setupMoralisStream();
+      // Hand provisional transfers to the pipeline once they are deep enough on chain
+      confirmationService.start(this.provider, transfer => this.handleTransfer(transfer));
+      
+      // Recover transfers missed while webhooks or this server were down
+      backfillService.start(this.provider, {
+        getWatchedAddresses: () => Array.from(this.watchedWallets.keys()),
+        onTransfer: transfer => this.handleTransfer(transfer)
+      });
       
-      console.log('Moralis watcher initialized successfully');
+      if (this.ingestionMode === 'rpc') {
+        // Poll the provider for new blocks instead of relying on Moralis
+        rpcIngestion.start(this.provider, {
+          getWatchedAddresses: () => Array.from(this.watchedWallets.keys())
+        });
+      } else {
+        // Initialize Moralis stream for monitoring
+        await this.setupMoralisStream();
+      }
+      
+      console.log(`Moralis watcher initialized successfully (ingestion mode: ${this.ingestionMode})`);
       return true;
     } catch (error) {
       console.error('Error initializing Moralis watcher:', error);
@@ -94,7 +132,9 @@ class MoralisWatcher {
           // Support original format with donationSettings
           {'donationSettings.amount': { $exists: true, $ne: null }},
           // Support newer format with direct fields
-          {dollarAmount: { $exists: true, $ne: null }, percentAmount: { $exists: true, $ne: null }}
+          {dollarAmount: { $exists: true, $ne: null }, percentAmount: { $exists: true, $ne: null }},
+          // Typed seasons, including ones started by a rollover (no dollarAmount)
+          {schemaVersion: { $exists: true }, percentAmount: { $exists: true, $ne: null }}
         ],
         active: true // Only get active wallets
       });
@@ -237,7 +277,8 @@ class MoralisWatcher {
     // Process the queue every 10 seconds
     setInterval(async () => {
       try {
-        if (this.transactionQueue.length > 0 && !this.isProcessing) {
+        if (!this.isProcessing) {
+          await this.reconcileInFlightDonations();
           await this.processTransactionQueue();
         }
       } catch (error) {
@@ -351,58 +392,222 @@ class MoralisWatcher {
     }
   }
 
+  // Build the TransactionRecord query for a donation's idempotency key
+  recordFilter(donation) {
+    return idempotency.buildKey(donation.txHash, donation.logIndex, donation.configId);
+  }
+
   // Queue a donation for processing
-  queueDonation(donationData) {
-    this.transactionQueue.push(donationData);
+  async queueDonation(donationData) {
+    // In shadow mode nothing goes near the real queue
+    if (blockchainService.dryRun) {
+      await this.shadowDonation(donationData);
+      return;
+    }
+    
+    // Reserve room under the season goal so donations in flight together can't pass it.
+    // If that fails the donation is queued without a reservation and reserves again before sending.
+    let seasonCheck;
+    try {
+      seasonCheck = await seasonGoalService.reserveDonation(donationData.from, donationData.donationAmount);
+    } catch (error) {
+      seasonCheck = { reservation: null, adjustedAmount: donationData.donationAmount };
+    }
+    if (seasonCheck.isSeasonExpired) {
+      console.log(`⌛ Season for wallet ${donationData.from} has ended. Skipping donation.`);
+      return;
+    }
+    if (seasonCheck.adjustedAmount === '0') {
+      console.log(`⚠️ Season goal already met for wallet ${donationData.from}. Skipping donation.`);
+      return;
+    }
+    if (seasonCheck.needsAdjustment) {
+      console.log(`📊 Adjusted donation amount to ${ethers.formatUnits(BigInt(seasonCheck.adjustedAmount), 6)} USDC to meet season goal exactly`);
+      donationData.donationAmount = seasonCheck.adjustedAmount;
+    }
+    if (seasonCheck.isGoalComplete) {
+      console.log(`🎉 This donation completes the season goal for wallet ${donationData.from}!`);
+    }
+    
+    // Persist first so the donation survives a restart before it is sent
+    let item;
+    try {
+      item = await donationQueue.enqueue(donationData, { reservation: seasonCheck.reservation });
+    } finally {
+      if (!item && seasonCheck.reservation) {
+        // Not queued (or already queued, and the earlier item holds its own reservation)
+        await this.releaseSeasonRoom(seasonCheck.reservation);
+      }
+    }
     
     // Start processing the queue if not already processing
     if (!this.isProcessing) {
-      this.processTransactionQueue();
+      this.processTransactionQueue().catch(error => {
+        console.error('Error processing transaction queue:', error);
+      });
+    }
+  }
+
+  // Run a donation through the season check and a simulated donate() and record
+  // what would have happened in the shadow collection. Used when DRY_RUN=true.
+  async shadowDonation(donation) {
+    const key = this.recordFilter(donation);
+    
+    if (await ShadowDonation.exists(key)) {
+      console.log(`[DRY RUN] Transaction ${donation.txHash} (log ${key.logIndex}) already shadowed for config ${key.configId}, skipping`);
+      return;
+    }
+    
+    // A candidate EON contract can be validated against live traffic before switching over
+    const contractAddress = (process.env.DRY_RUN_EON_CONTRACT_ADDRESS || donation.authorized || process.env.EON_CONTRACT_ADDRESS || '').toLowerCase();
+    
+    const record = {
+      ...key,
+      originalTransaction: {
+        from: donation.originalFrom,
+        to: donation.originalTo,
+        value: donation.originalValue,
+        assetType: donation.assetType,
+        usdcValue: donation.usdcEquivalent,
+        usdPrice: donation.usdPrice,
+        priceSource: donation.priceSource,
+        priceTimestamp: donation.priceTimestamp
+      },
+      donation: {
+        from: donation.from,
+        to: donation.to,
+        computedAmount: donation.donationAmount,
+        percentAmount: donation.percentAmount,
+        contractAddress
+      },
+      blockTimestamp: donation.timestamp
+    };
+    
+    try {
+      const { amount, seasonCheck } = await this.adjustForSeasonGoal(donation, { dryRun: true });
+      record.seasonCheck = seasonCheck;
+      
+      if (amount === null) {
+        record.status = 'skipped';
+        record.simulation = { reason: 'Season goal is already met' };
+      } else {
+        record.donation.amount = amount;
+        
+        const result = await blockchainService.processDonations({
+          froms: [donation.from.toLowerCase()],
+          tos: [donation.to.toLowerCase()],
+          donationTimes: [donation.timestamp],
+          usdcAmounts: [amount],
+          contractAddress
+        }, { dryRun: true });
+        
+        const failure = result.failures && result.failures[0];
+        record.status = result.success ? 'would_send' : 'would_fail';
+        record.simulation = {
+          executor: result.executor,
+          gasLimit: result.gasLimit,
+          reason: result.success ? undefined : (failure ? failure.reason : result.message)
+        };
+      }
+    } catch (error) {
+      console.error(`[DRY RUN] Error simulating donation for ${donation.txHash}: ${error.message}`);
+      record.status = 'error';
+      record.simulation = { reason: error.message };
+    }
+    
+    try {
+      await ShadowDonation.create(record);
+      console.log(`[DRY RUN] ${record.status}: ${donation.from} -> ${donation.to}, ${record.donation.amount || record.donation.computedAmount} USDC units via ${contractAddress}`);
+    } catch (error) {
+      if (!idempotency.isDuplicateKeyError(error)) {
+        throw error;
+      }
     }
   }
 
   // Process the transaction queue
   async processTransactionQueue() {
-    // Skip if already processing or queue is empty
-    if (this.isProcessing || this.transactionQueue.length === 0) {
+    // Skip if already processing
+    if (this.isProcessing) {
       return;
     }
     
     try {
       this.isProcessing = true;
       
-      // Get the next donation from the queue
-      const donation = this.transactionQueue.shift();
-      
-      // Skip if donation is null or missing txHash (shouldn't happen but be safe)
-      if (!donation || !donation.txHash) {
-        console.log(`Skipping invalid donation in queue`);
-        this.isProcessing = false;
-        return;
+      // Claim and process batches until nothing is ready to send
+      let batch;
+      while ((batch = await donationQueue.claimBatch()).length > 0) {
+        await this.processQueuedBatch(batch);
       }
-      
-      console.log(`Processing donation for transaction ${donation.txHash}...`);
-      console.log(`Donation details: ${donation.from} -> ${donation.to}, Amount: ${donation.donationAmount} USDC`);
-      
-      // TRIPLE-CHECK that this transaction hasn't already been processed
-      // This is a critical check to prevent multiple donations from the same transaction
-      if (this.processedTransactions.has(donation.txHash)) {
-        console.log(`DUPLICATE PREVENTION: Transaction ${donation.txHash} already processed, skipping entirely`);
-        this.isProcessing = false;
-        return;
-      }
-      
-      try {
-        // Create a transaction record - initially marked as pending
-        const transactionRecord = new TransactionRecord({
-          txHash: donation.txHash,
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Mark a queue item and its TransactionRecord as failed and give back its season reservation
+  async failQueuedDonation(item, message) {
+    if (item.donation && item.donation.txHash) {
+      await TransactionRecord.findOneAndUpdate(
+        this.recordFilter(item.donation),
+        {
+          status: 'failed',
+          error: message || 'Unknown error'
+        }
+      ).catch(err => console.error('Error updating transaction record:', err));
+    }
+    
+    await donationQueue.markFailed(item, message)
+      .catch(err => console.error('Error updating queue item:', err));
+    
+    const released = await donationQueue.settleReservation(item, 'released')
+      .catch(err => console.error('Error releasing season reservation:', err));
+    if (released) {
+      await this.releaseSeasonRoom(released.reservation);
+    }
+  }
+
+  // Give reserved room back to its season. A failure is only logged: it leaves the room
+  // counted as reserved, which can hold donations back but never lets one pass the goal.
+  async releaseSeasonRoom(reservation) {
+    try {
+      await seasonGoalService.releaseReservation(reservation.seasonId, reservation.units);
+    } catch (error) {
+      console.error(`Error giving ${reservation.units} reserved units back to season ${reservation.seasonId}: ${error.message}`);
+    }
+  }
+
+  // Create the TransactionRecord and apply the season goal check for a claimed item.
+  // Returns the USDC amount to donate, or null if the item should not be sent.
+  async prepareQueuedDonation(item) {
+    const donation = item.donation;
+    
+    // Skip if donation is null or missing txHash (shouldn't happen but be safe)
+    if (!donation || !donation.txHash) {
+      console.log(`Skipping invalid donation in queue`);
+      await donationQueue.markFailed(item, 'Invalid donation data');
+      return null;
+    }
+    
+    console.log(`Processing donation for transaction ${donation.txHash} (queue item ${item._id}, attempt ${item.attempts})...`);
+    console.log(`Donation details: ${donation.from} -> ${donation.to}, Amount: ${donation.donationAmount} USDC`);
+    
+    // Create a transaction record - initially marked as pending.
+    // A resumed item may already have one from a previous attempt.
+    const existingRecord = await TransactionRecord.findOneAndUpdate(
+      this.recordFilter(donation),
+      {
+        $setOnInsert: {
+          ...this.recordFilter(donation),
           originalTransaction: {
             from: donation.originalFrom,           // Sender of the original transaction
             to: donation.originalTo,              // Recipient of the original transaction (watched wallet)
             value: donation.originalValue,        // Original transaction value
             assetType: donation.assetType,        // Asset type (ETH, USDC, WETH)
             usdcValue: donation.usdcEquivalent,   // USDC equivalent in smallest unit
-            txHash: donation.txHash              // Original transaction hash
+            usdPrice: donation.usdPrice,          // USD price the transfer was valued at
+            priceSource: donation.priceSource,
+            priceTimestamp: donation.priceTimestamp
           },
           donation: {
             from: donation.from,                  // Donation sender (watched wallet)
@@ -410,166 +615,523 @@ class MoralisWatcher {
             amount: donation.donationAmount,      // USDC amount in smallest unit
             usdcValue: donation.donationAmount,   // USDC value in base units (smallest unit)
             percentAmount: donation.percentAmount,
-            contractAddress: donation.authorized || process.env.EON_CONTRACT_ADDRESS
+            contractAddress: item.contractAddress
           },
           blockTimestamp: donation.timestamp,
           processedAt: Math.floor(Date.now() / 1000),
           configId: donation.configId,
           status: 'pending'
-        });
-        
-        // First save the pending record
-        await transactionRecord.save();
-        console.log(`Created transaction record in database for ${donation.txHash}`);
-        
-        // Check if donation would exceed season goal and adjust if needed
-        console.log(`Checking season goal for ${donation.to} before processing donation...`);
-        const seasonCheck = await seasonGoalService.checkAndAdjustDonation(donation.to, BigInt(donation.donationAmount));
-        
-        // If season goal check indicates an adjustment is needed
-        if (seasonCheck && seasonCheck.needsAdjustment) {
-          // Convert adjusted amount to BigInt
-          const adjustedAmount = BigInt(seasonCheck.adjustedAmount);
-          
-          // If the adjusted amount is zero, season goal is already met
-          if (adjustedAmount === 0n) {
-            console.log(`⚠️ Season goal already met for wallet ${donation.to}. Skipping donation.`);
-            await TransactionRecord.findOneAndUpdate(
-              { txHash: donation.txHash },
-              {
-                status: 'failed',
-                error: 'Season goal is already met'
-              }
-            );
-            this.isProcessing = false;
-            return;
-          }
-          
-          // Update the donation amount to the adjusted amount
-          const updatedDonationAmount = adjustedAmount;
-          console.log(`📊 Adjusted donation amount to ${ethers.formatUnits(updatedDonationAmount, 6)} USDC to meet season goal exactly`);
-          
-          // Log completion of goal if applicable
-          if (seasonCheck.isGoalComplete) {
-            console.log(`🎉 This donation completes the season goal for wallet ${donation.to}!`);
-          }
-          
-          // Update the transaction record with adjusted amount
-          await TransactionRecord.findOneAndUpdate(
-            { txHash: donation.txHash },
-            {
-              status: 'success',
-              'donation.donationTxHash': updatedDonationAmount.toString(),
-              'donation.amount': updatedDonationAmount.toString()
-            }
-          );
-          
-          // Update the wallet's last donation timestamp
-          for (const [address, config] of this.watchedWallets.entries()) {
-            if (address === donation.from.toLowerCase()) {
-              // Update the last donation timestamp
-              await ExistingWallet.findOneAndUpdate(
-                { walletAddress: address },
-                { lastDonation: donation.timestamp }
-              );
-              
-              console.log(`Updated last donation timestamp for wallet ${donation.from}`);
-              break;
-            }
+        }
+      },
+      { upsert: true }
+    );
+    
+    // Never donate twice for the same source transfer and configuration
+    if (existingRecord && existingRecord.status === 'success') {
+      console.log(`DUPLICATE PREVENTION: Transaction ${donation.txHash} already donated for config ${donation.configId}, skipping`);
+      // An earlier attempt may have stopped before counting the donation towards the season
+      await this.commitReservation(item, existingRecord.donation && existingRecord.donation.amount);
+      await donationQueue.markConfirmed(item, existingRecord.donation && existingRecord.donation.donationTxHash);
+      return null;
+    }
+    console.log(`Created transaction record in database for ${donation.txHash}`);
+    
+    // Donations without a held season reservation (no active season then, the reservation
+    // failed, or it was released when an earlier attempt failed) reserve now; the reserved
+    // amount is what gets sent
+    if (!item.reservation || item.reservation.state !== 'held') {
+      // Held donations and released reservations are tied to the season they were made in
+      const boundSeasonId = (item.reservation && item.reservation.seasonId) || donation.seasonId;
+      const seasonCheck = await seasonGoalService.reserveDonation(donation.from, donation.donationAmount);
+      if (seasonCheck.adjustedAmount === '0') {
+        await this.failQueuedDonation(item, 'Season goal is already met');
+        return null;
+      }
+      const reservedSeasonId = seasonCheck.reservation && seasonCheck.reservation.seasonId;
+      if (boundSeasonId && (!reservedSeasonId || reservedSeasonId.toString() !== boundSeasonId.toString())) {
+        if (seasonCheck.reservation) {
+          await this.releaseSeasonRoom(seasonCheck.reservation);
+        }
+        await this.failQueuedDonation(item, `Season ${boundSeasonId} is no longer active`);
+        return null;
+      }
+      if (seasonCheck.reservation) {
+        item.reservation = { ...seasonCheck.reservation, state: 'held' };
+        await donationQueue.setReservation(item, seasonCheck.reservation);
+      }
+    }
+    
+    const reservation = item.reservation && item.reservation.state === 'held' ? item.reservation : null;
+    if (!reservation) {
+      return donation.donationAmount;
+    }
+    
+    // Remember which season the donation counts towards once it confirms
+    await TransactionRecord.updateOne(this.recordFilter(donation), { $set: { seasonId: reservation.seasonId } });
+    return reservation.units;
+  }
+
+  // Preview the season goal for a shadowed donation without reserving anything.
+  // Returns { amount, seasonCheck } where amount is null if the goal is already met.
+  async adjustForSeasonGoal(donation, options = {}) {
+    console.log(`Checking season goal for ${donation.from} before processing donation...`);
+    const seasonCheck = await seasonGoalService.checkAndAdjustDonation(donation.from, BigInt(donation.donationAmount), options);
+    
+    let donationAmount = donation.donationAmount;
+    
+    // If season goal check indicates an adjustment is needed
+    if (seasonCheck && seasonCheck.needsAdjustment) {
+      // Convert adjusted amount to BigInt
+      const adjustedAmount = BigInt(seasonCheck.adjustedAmount);
+      
+      // If the adjusted amount is zero, season goal is already met
+      if (adjustedAmount === 0n) {
+        console.log(`⚠️ Season goal already met for wallet ${donation.from}. Skipping donation.`);
+        return { amount: null, seasonCheck };
+      }
+      
+      // Update the donation amount to the adjusted amount
+      donationAmount = adjustedAmount.toString();
+      console.log(`📊 Adjusted donation amount to ${ethers.formatUnits(adjustedAmount, 6)} USDC to meet season goal exactly`);
+      
+      // Log completion of goal if applicable
+      if (seasonCheck.isGoalComplete) {
+        console.log(`🎉 This donation completes the season goal for wallet ${donation.from}!`);
+      }
+    }
+    
+    return { amount: donationAmount, seasonCheck };
+  }
+
+  // Send a batch of claimed queue items (all for the same EON contract) in one donate() call
+  async processQueuedBatch(items) {
+    const contractAddress = items[0].contractAddress;
+    const entries = [];
+    
+    // Prepare each item, dropping the ones that should not be sent
+    for (const item of items) {
+      try {
+        const amount = await this.prepareQueuedDonation(item);
+        if (amount !== null) {
+          entries.push({ item, amount });
+        }
+      } catch (error) {
+        // Nothing was sent, so database and RPC errors are retried with backoff
+        console.error(`Error preparing donation for queue item ${item._id}: ${error.message}`);
+        await this.retryQueuedDonation(item, error.message);
+      }
+    }
+    
+    if (entries.length === 0) {
+      return;
+    }
+    
+    // Set once donate() is broadcast; after that items must be reconciled, never failed blindly
+    let submittedHash = null;
+    
+    try {
+      // Prepare donation data in the format expected by the blockchain service
+      // The blockchain service expects parallel arrays, one entry per donation
+      const donationData = {
+        froms: entries.map(({ item }) => item.donation.from.toLowerCase()),
+        tos: entries.map(({ item }) => item.donation.to.toLowerCase()),
+        donationTimes: entries.map(({ item }) => item.donation.timestamp),
+        usdcAmounts: entries.map(({ amount }) => amount),
+        contractAddress
+      };
+      
+      console.log(`Submitting batch of ${entries.length} donation(s) to EON contract ${contractAddress}`);
+      
+      // Remember where the chain was so a crash mid-broadcast can be reconciled
+      const fromBlock = await blockchainService.provider.getBlockNumber();
+      for (const { item, amount } of entries) {
+        await donationQueue.markSubmitting(item, fromBlock, amount);
+      }
+      
+      // Process the whole batch in a single transaction
+      const donationResult = await blockchainService.processDonations(donationData, {
+        onSubmitted: (txHash, submitted) => {
+          submittedHash = txHash;
+          return Promise.all(submitted.map(({ index, amount }) =>
+            donationQueue.markSubmitted(entries[index].item, txHash, amount)
+          ));
+        }
+      });
+      
+      // Entries with no allowance left or that failed simulation are recorded with the reason
+      // (the decoded revert reason for simulation failures)
+      const failures = donationResult.failures || [];
+      for (const { index, reason } of failures) {
+        console.error(`Donation for ${entries[index].item.donation.txHash} was not sent: ${reason}`);
+        await this.failQueuedDonation(entries[index].item, `Not sent: ${reason}`);
+      }
+      const failedIndexes = new Set(failures.map(failure => failure.index));
+      
+      if (donationResult.success) {
+        // Fan the single receipt back out to every record in the batch
+        for (const { index, amount, settlement } of donationResult.submitted) {
+          await this.completeQueuedDonation(entries[index].item, donationResult.transactionHash, amount, settlement);
+        }
+      } else if (donationResult.transactionHash) {
+        // The transaction was broadcast but we lost track of it - leave it for reconciliation
+        console.error(`Donation batch ${donationResult.transactionHash} was broadcast but not confirmed: ${donationResult.message}`);
+      } else {
+        // Nothing was broadcast and simulation didn't reject these entries, so the cause
+        // (no funded executor, rate limits, RPC errors) can clear up - try them again later
+        console.error(`Failed to process donation batch: ${donationResult.message}`);
+        for (let i = 0; i < entries.length; i++) {
+          if (!failedIndexes.has(i)) {
+            await this.retryQueuedDonation(entries[i].item, donationResult.message);
           }
-        } else {
-          // Prepare donation data in the format expected by the blockchain service
-          // The blockchain service expects arrays for batch processing
-          const donationData = {
-            froms: [donation.from.toLowerCase()],
-            tos: [donation.to.toLowerCase()],
-            donationTimes: [donation.timestamp],
-            usdcAmounts: [seasonCheck && seasonCheck.needsAdjustment ? 
-              seasonCheck.adjustedAmount : 
-              donation.donationAmount],
-            contractAddress: donation.authorized || process.env.EON_CONTRACT_ADDRESS
-          };
+        }
+      }
+    } catch (error) {
+      console.error(`Error processing donation batch: ${error.message}`);
+      if (submittedHash) {
+        console.error(`Donation batch ${submittedHash} was already broadcast - leaving it for reconciliation`);
+        return;
+      }
+      for (const { item } of entries) {
+        await this.retryQueuedDonation(item, error.message);
+      }
+    }
+  }
 
-          console.log(`Processing donation for transaction ${donation.txHash}...`);
-          console.log(`Donation details: ${donation.from} -> ${donation.to}, Amount: ${donationData.usdcAmounts[0]} USDC`);
+  // Return an item that failed before anything was broadcast to the queue with backoff,
+  // or fail it once it has used up its attempts
+  async retryQueuedDonation(item, message) {
+    if (item.attempts >= donationQueue.maxAttempts) {
+      await this.failQueuedDonation(item, `${message} (gave up after ${item.attempts} attempts)`);
+      return;
+    }
+    
+    const delayMs = donationQueue.retryDelay(item.attempts);
+    console.log(`Retrying queue item ${item._id} (${item.donation.txHash}) in ${Math.round(delayMs / 1000)}s: ${message}`);
+    await donationQueue.requeue(item, message, { delayMs })
+      .catch(err => console.error('Error requeueing queue item:', err));
+  }
 
-          // Process the donation
-          const donationResult = await blockchainService.processDonations(donationData);
-          if (donationResult.success) {
-            console.log(`Successfully processed donation of ${ethers.formatUnits(donationData.usdcAmounts[0], 6)} USDC from ${donation.from} to ${donation.to}`);
-            
-            // If this was an adjusted donation (less than the original amount), mark the season as complete
-            if (donationData.usdcAmounts[0] !== donation.donationAmount) {
-              console.log(`Donation was adjusted from ${donation.donationAmount} to ${donationData.usdcAmounts[0]} - marking season as complete`);
-              const seasonId = donation.seasonInfo?.seasonId;
-              if (seasonId) {
-                console.log(`DEBUG: Attempting to mark season complete:`, {
-                  seasonId,
-                  isGoalComplete: donation.seasonInfo.isGoalComplete,
-                  totalDonated: donation.seasonInfo.totalDonated,
-                  goalAmount: donation.seasonInfo.goalAmount
-                });
-                await seasonGoalService.markSeasonCompleted(seasonId);
-                console.log(`DEBUG: Successfully marked season ${seasonId} as complete`);
-              } else {
-                console.error('Cannot mark season as complete - missing seasonId in donation.seasonInfo:', donation.seasonInfo);
-              }
-            }
-            
-            // Mark transaction as processed
-            await TransactionRecord.findOneAndUpdate(
-              { txHash: donation.txHash },
-              {
-                status: 'success',
-                'donation.donationTxHash': donationResult.txHash,
-                'donation.amount': donationData.usdcAmounts[0]
-              }
-            );
-            console.log(`Marked transaction ${donation.txHash} as processed`);
+  // Move a confirmed donation's held season reservation into the season total.
+  // Returns null if the item held no reservation, so a donation is only counted once.
+  // If the total can't be updated the reservation is held again and the error rethrown,
+  // so the next attempt to complete the donation counts it.
+  async commitReservation(item, sentAmount) {
+    const committed = await donationQueue.settleReservation(item, 'committed');
+    if (committed) {
+      try {
+        await seasonGoalService.recordConfirmedDonation(committed.reservation.seasonId, sentAmount || committed.reservation.units, committed.reservation.units);
+      } catch (error) {
+        await donationQueue.settleReservation(item, 'held', 'committed');
+        throw error;
+      }
+    }
+    return committed;
+  }
+
+  // Record a mined donation on the TransactionRecord and close out the queue item.
+  // settlement is what the contract's Donation event reported for this entry.
+  async completeQueuedDonation(item, donationTxHash, sentAmount, settlement) {
+    const donation = item.donation;
+    
+    console.log(`Successfully processed donation of ${ethers.formatUnits(sentAmount, 6)} USDC from ${donation.from} to ${donation.to}`);
+    
+    // Mark transaction as processed
+    const update = {
+      status: 'success',
+      'donation.donationTxHash': donationTxHash,
+      'donation.amount': sentAmount,
+      'donation.usdcValue': sentAmount
+    };
+    
+    if (settlement) {
+      update['donation.settledQuantity'] = settlement.quantity;
+      update['donation.fee'] = settlement.fee;
+      update['donation.settlementStatus'] = settlement.status;
+    }
+    
+    const record = await TransactionRecord.findOneAndUpdate(
+      { ...this.recordFilter(donation), status: { $ne: 'success' } },
+      update
+    );
+    // Settled even if an earlier attempt already flipped the record, so a held reservation never leaks
+    const committed = await this.commitReservation(item, sentAmount);
+    if (!committed && record && record.seasonId) {
+      // No held reservation (queued before reservations were kept, or already released):
+      // only the call that flips the record to success moves it into the season total
+      try {
+        await seasonGoalService.recordConfirmedDonation(record.seasonId, sentAmount);
+      } catch (error) {
+        // Flip it back so the next attempt to complete the donation counts it
+        await TransactionRecord.updateOne(this.recordFilter(donation), { $set: { status: record.status } });
+        throw error;
+      }
+    }
+    await donationQueue.markConfirmed(item, donationTxHash);
+    console.log(`Marked transaction ${donation.txHash} as processed`);
+  }
+
+  // Resolve queue items whose worker stopped while a donation was being sent
+  async reconcileInFlightDonations() {
+    try {
+      // Items that never got a transaction hash: find out whether the donate() call landed
+      const abandoned = await donationQueue.findAbandonedSubmitting();
+      for (const item of abandoned) {
+        const donation = item.donation;
+        try {
+          const donationTxHash = await blockchainService.findDonationTransaction(
+            item.contractAddress,
+            donation.from,
+            donation.to,
+            donation.timestamp,
+            item.submittingFromBlock || 0
+          );
+          
+          if (donationTxHash) {
+            console.log(`Recovered donation ${donationTxHash} for queue item ${item._id} (${donation.txHash})`);
+            await donationQueue.markSubmitted(item, donationTxHash);
+            item.donationTxHash = donationTxHash;
+            await this.reconcileSubmittedDonation(item);
           } else {
-            console.error(`Failed to process donation: ${donationResult.message}`);
+            console.log(`No on-chain donation found for queue item ${item._id} (${donation.txHash}), returning it to the queue`);
+            await donationQueue.requeue(item, 'Recovered after interrupted submission');
           }
+        } catch (error) {
+          console.error(`Error reconciling submitting queue item ${item._id}:`, error);
         }
-      } catch (error) {
-        // Update the transaction record with failure status
-        await TransactionRecord.findOneAndUpdate(
-          { txHash: donation.txHash },
-          {
-            status: 'failed',
-            error: error.message || 'Unknown error'
+      }
+      
+      // Items with a transaction hash: check the receipt
+      const submitted = await donationQueue.findUnconfirmedSubmitted();
+      for (const item of submitted) {
+        try {
+          await this.reconcileSubmittedDonation(item);
+        } catch (error) {
+          console.error(`Error reconciling submitted queue item ${item._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error reconciling in-flight donations:', error);
+    }
+  }
+
+  // Finalize a broadcast queue item once its receipt is available
+  async reconcileSubmittedDonation(item) {
+    // The mined hash can differ from the broadcast one if the nonce manager bumped fees
+    const { receipt, dropped } = await blockchainService.getTransactionStatus(item.donationTxHash);
+    
+    if (!receipt) {
+      // None of our transactions for that nonce was mined, so nothing was donated - send it again
+      if (dropped) {
+        console.error(`Donation transaction ${item.donationTxHash} was dropped, returning queue item ${item._id} to the queue`);
+        await donationQueue.requeue(item, `Donation transaction ${item.donationTxHash} was dropped`);
+      }
+      // Not mined yet, check again on the next pass
+      return;
+    }
+    
+    if (receipt.status === 1) {
+      const sentAmount = item.submittedAmount || item.donation.donationAmount;
+      const [settlement] = blockchainService.reconcileReceipt(item.contractAddress, receipt, [{
+        from: item.donation.from,
+        to: item.donation.to,
+        donationTime: item.donation.timestamp,
+        amount: sentAmount
+      }]);
+      await this.completeQueuedDonation(item, receipt.hash, sentAmount, settlement);
+    } else {
+      const reason = await blockchainService.getRevertReason(receipt.hash, item.contractAddress);
+      const message = `Donation transaction ${receipt.hash} reverted${reason ? `: ${reason}` : ''}`;
+      console.error(message);
+      await this.failQueuedDonation(item, message);
+    }
+  }
+
+  // USD price for a transfer at its block time: { price } or { price: null, reason }.
+  // No price while the circuit breaker for the asset is open (stale or disputed feed)
+  // or when no trustworthy historical price exists.
+  async priceTransfer(pricing, timestamp) {
+    const breaker = await priceFeed.checkBreaker(pricing.asset);
+    if (breaker.open) {
+      return { price: null, reason: breaker.reason };
+    }
+    
+    const price = await historicalPrice.getPriceAt(pricing.asset, timestamp, { blockNumber: pricing.blockNumber });
+    if (!price) {
+      return { price: null, reason: `No trustworthy ${pricing.asset} price at ${new Date(timestamp * 1000).toISOString()}` };
+    }
+    return { price };
+  }
+  
+  // Queue a transfer's donations without an amount, in the waiting_for_price state.
+  // releaseHeldDonations() values them at the transfer's block time once a trustworthy price is available.
+  async holdForPrice(transfer, configurations, reason) {
+    const logIndex = idempotency.normalizeLogIndex(transfer.logIndex);
+    console.log(`⏸️ Holding donations for ${transfer.txHash} until a price is available: ${reason}`);
+    
+    // Nothing is reserved while the donation waits for a price, so remember which season it
+    // belongs to; it is failed rather than sent uncapped if that season ends in the meantime
+    const season = blockchainService.dryRun ? null : await seasonGoalService.getActiveSeason(transfer.to);
+    
+    for (const config of configurations) {
+      if (!config.target || !config.percentAmount || config.percentAmount <= 0) {
+        continue;
+      }
+      
+      // Skip if this transfer already produced a donation for this configuration
+      if (await idempotency.hasBeenProcessed(transfer.txHash, logIndex, config.id)) {
+        console.log(`DUPLICATE: Transaction ${transfer.txHash} (log ${logIndex}) already processed for config ${config.id}, skipping`);
+        continue;
+      }
+      
+      // Skip configurations whose season has already ended
+      if (await seasonGoalService.hasSeasonExpired(config.id)) {
+        console.log(`Season ${config.id} for wallet ${transfer.to} has expired, skipping`);
+        continue;
+      }
+      
+      const donation = {
+        from: transfer.to,                      // Watched wallet (sending the donation)
+        originalFrom: transfer.from,            // Original transaction sender
+        originalTo: transfer.to,                // Original transaction recipient (watched wallet)
+        txHash: transfer.txHash,
+        logIndex,
+        assetType: transfer.assetType,
+        originalValue: transfer.value.toString(),
+        to: config.target,                      // The donation recipient address from the config
+        authorized: config.authorized,          // The contract authorized to spend tokens
+        configId: config.id,
+        percentAmount: config.percentAmount,
+        pricing: transfer.pricing,              // What is needed to value the transfer later
+        seasonId: season ? season._id.toString() : null,
+        timestamp: transfer.timestamp
+      };
+      
+      if (blockchainService.dryRun) {
+        // Shadow mode has no worker to release held donations, so just record the hold
+        await ShadowDonation.create({
+          ...this.recordFilter(donation),
+          originalTransaction: {
+            from: donation.originalFrom,
+            to: donation.originalTo,
+            value: donation.originalValue,
+            assetType: donation.assetType
+          },
+          donation: { from: donation.from, to: donation.to, percentAmount: donation.percentAmount },
+          blockTimestamp: donation.timestamp,
+          status: 'skipped',
+          simulation: { reason: `Waiting for price: ${reason}` }
+        }).catch(error => {
+          if (!idempotency.isDuplicateKeyError(error)) {
+            throw error;
           }
-        ).catch(err => console.error('Error updating transaction record:', err));
-        
-        console.error(`Error processing donation: ${error.message}`);
+        });
+        continue;
       }
-    } finally {
-      this.isProcessing = false;
       
-      // Continue processing the queue if there are more items
-      if (this.transactionQueue.length > 0) {
-        await this.processTransactionQueue();
+      await donationQueue.enqueue(donation, { waitingForPrice: true, reason });
+    }
+  }
+  
+  // Value held donations whose price has become available and move them into the queue
+  async releaseHeldDonations() {
+    const items = await donationQueue.findWaitingForPrice();
+    let released = 0;
+    
+    for (const item of items) {
+      const donation = item.donation;
+      const { price, reason } = await this.priceTransfer(donation.pricing, donation.timestamp);
+      if (!price) {
+        await donationQueue.markPriceChecked(item, reason);
+        continue;
+      }
+      
+      const usdcAmount = priceFeed.usdcValue(donation.originalValue, donation.pricing.decimals, price.usd);
+      let donationAmount = (usdcAmount * BigInt(donation.percentAmount)) / BigInt(100);
+      
+      // Same small donation rule as live transfers: a non-zero share is at least 1 USDC unit
+      if (donationAmount === 0n && usdcAmount > 0n) {
+        donationAmount = 1n;
+      }
+      if (donationAmount === 0n) {
+        await donationQueue.markFailed(item, 'Transfer is worth nothing at its block time price');
+        continue;
+      }
+      
+      const valued = {
+        ...donation,
+        usdcEquivalent: usdcAmount.toString(),
+        usdcFormatted: ethers.formatUnits(usdcAmount, 6),
+        usdPrice: price.usd,
+        priceSource: price.source,
+        priceTimestamp: price.timestamp,
+        donationAmount: donationAmount.toString()
+      };
+      
+      if (await donationQueue.releaseWaitingForPrice(item, valued)) {
+        released++;
+        console.log(`▶️ Released held donation ${item._id} for ${donation.txHash}: ${ethers.formatUnits(donationAmount, 6)} USDC at $${price.usd} (${price.source})`);
       }
     }
+    
+    if (released > 0 && !this.isProcessing) {
+      this.processTransactionQueue().catch(error => {
+        console.error('Error processing transaction queue:', error);
+      });
+    }
+    return released;
+  }
+  
+  // Start a loop to release held donations once prices are available again
+  startPriceHoldLoop() {
+    const intervalMs = parseInt(process.env.PRICE_HOLD_CHECK_MS || '', 10) || 30 * 1000; // 30 seconds
+    
+    console.log(`Price hold loop started (every ${intervalMs / 1000}s)`);
+    
+    setInterval(async () => {
+      try {
+        await this.releaseHeldDonations();
+      } catch (error) {
+        console.error('Error releasing held donations:', error);
+      }
+    }, intervalMs);
+  }
+  
+  // Process a confirmed transfer extracted from a webhook or found on chain
+  async handleTransfer(transfer) {
+    if (transfer.kind === 'native') {
+      return this.checkTransaction({
+        hash: transfer.txHash,
+        from: transfer.from,
+        to: transfer.to,
+        value: BigInt(transfer.value),
+        logIndex: transfer.logIndex,
+        blockNumber: transfer.blockNumber
+      }, transfer.timestamp);
+    }
+    
+    return this.processERC20Transfer(
+      transfer.tokenAddress,
+      transfer.from,
+      transfer.to,
+      BigInt(transfer.value),
+      transfer.txHash,
+      transfer.timestamp,
+      transfer.logIndex,
+      transfer.blockNumber
+    );
   }
 
   // Process an ERC20 token transfer
-  async processERC20Transfer(tokenAddress, from, to, value, txHash, blockTimestamp) {
+  async processERC20Transfer(tokenAddress, from, to, value, txHash, blockTimestamp, logIndex, blockNumber) {
     try {
-      // Check if we've already successfully processed this transaction
-      // by looking it up in our in-memory tracking set
-      if (this.processedTransactions.has(txHash)) {
-        console.log(`DUPLICATE: Transaction ${txHash} already processed, SKIPPING ENTIRELY`);
-        return;
-      }
-      
       // Skip zero-value transfers
       if (value === 0n || value === BigInt(0)) {
         console.log(`Skipping zero-value ERC20 transfer: ${from} -> ${to}, Token: ${tokenAddress}`);
-        // It's safe to mark zero-value transfers as processed immediately
-        this.processedTransactions.add(txHash);
         return;
       }
       
+      logIndex = idempotency.normalizeLogIndex(logIndex);
+      
       // Convert addresses to lowercase for consistency
       tokenAddress = tokenAddress.toLowerCase();
       from = from.toLowerCase();
@@ -593,13 +1155,25 @@ class MoralisWatcher {
       console.log(`ERC20 transfer detected to watched wallet ${to}`);
       console.log(`Token: ${tokenAddress}, From: ${from}, Amount: ${value.toString()}`);
       
-      // IMPORTANT: Do NOT mark as processed here - we'll do it after successful donation processing
+      // Look up the token in the registry
+      const token = tokenRegistry.get(tokenAddress);
       
-      // Check if the token is USDC (more robust comparison)
-      const usdcAddress = (process.env.USDC_CONTRACT_ADDRESS || '').toLowerCase();
-      const isUsdc = tokenAddress === usdcAddress;
-      
-      if (isUsdc) {
+      if (token) {
+        // Value the transfer in USDC base units (6 decimals) at the price when it was received
+        blockTimestamp = blockTimestamp || Math.floor(Date.now() / 1000);
+        const pricing = { asset: tokenRegistry.getPriceAsset(token), decimals: token.decimals, blockNumber };
+        const { price, reason } = await this.priceTransfer(pricing, blockTimestamp);
+        if (!price) {
+          // Circuit breaker: hold the donations until a trustworthy price is available
+          await this.holdForPrice({
+            txHash, logIndex, from, to, value, assetType: token.symbol, timestamp: blockTimestamp, pricing
+          }, walletData.configurations, reason);
+          return;
+        }
+        const usdcAmount = priceFeed.usdcValue(value, token.decimals, price.usd);
+        const usdcFormatted = ethers.formatUnits(usdcAmount, 6);
+        console.log(`Received ${ethers.formatUnits(value, token.decimals)} ${token.symbol} worth ${usdcFormatted} USDC`);
+        
         // Process each configuration for this wallet (matching original functionality)
         for (const config of walletData.configurations) {
           // Skip if missing critical configuration
@@ -607,6 +1181,18 @@ class MoralisWatcher {
             continue;
           }
           
+          // Skip if this transfer already produced a donation for this configuration
+          if (await idempotency.hasBeenProcessed(txHash, logIndex, config.id)) {
+            console.log(`DUPLICATE: Transaction ${txHash} (log ${logIndex}) already processed for config ${config.id}, skipping`);
+            continue;
+          }
+          
+          // A season past its end date stops donating before the watched wallets refresh drops it
+          if (await seasonGoalService.hasSeasonExpired(config.id)) {
+            console.log(`Season ${config.id} for wallet ${to} has expired, skipping`);
+            continue;
+          }
+          
           const donationPercentage = config.percentAmount;
           
           // Skip invalid configurations
@@ -615,11 +1201,6 @@ class MoralisWatcher {
             continue;
           }
           
-          // It's USDC, just use the value directly (USDC has 6 decimals)
-          const usdcAmount = BigInt(value);
-          const usdcFormatted = ethers.formatUnits(usdcAmount, 6);
-          console.log(`Received ${usdcFormatted} USDC`);
-          
           // Calculate donation amount based on percentage
           const donationAmountFloat = Number(usdcFormatted) * (donationPercentage / 100);
           const donationAmount = (usdcAmount * BigInt(donationPercentage)) / BigInt(100);
@@ -646,101 +1227,38 @@ class MoralisWatcher {
           }
           
           if (finalDonationAmount > 0) {
-            try {
-              // Check if donation would exceed season goal and adjust if needed
-              console.log(`Checking season goal for ${to} before processing donation...`);
-              const seasonCheck = await seasonGoalService.checkAndAdjustDonation(to, finalDonationAmount);
-              
-              // If season goal check indicates an adjustment is needed
-              if (seasonCheck && seasonCheck.needsAdjustment) {
-                // Convert adjusted amount to BigInt
-                const adjustedAmount = BigInt(seasonCheck.adjustedAmount);
-                
-                // If the adjusted amount is zero, season goal is already met
-                if (adjustedAmount === 0n) {
-                  console.log(`⚠️ Season goal already met for wallet ${to}. Skipping donation.`);
-                  continue; // Skip this donation entirely
-                }
-                
-                // Update the donation amount to the adjusted amount
-                finalDonationAmount = adjustedAmount;
-                console.log(`📊 Adjusted donation amount to ${ethers.formatUnits(adjustedAmount, 6)} USDC to meet season goal exactly`);
-                
-                // Log completion of goal if applicable
-                if (seasonCheck.isGoalComplete) {
-                  console.log(`🎉 This donation completes the season goal for wallet ${to}!`);
-                }
-              }
-              
-              // Now queue the donation for processing with possibly adjusted amount
-              // Create donation object matching the original implementation
-              const seasonId = seasonCheck.seasonId ? seasonCheck.seasonId.toString() : null;
-              console.log(`DEBUG: Season check result:`, {
-                seasonId,
-                isGoalComplete: seasonCheck.isGoalComplete,
-                totalDonated: seasonCheck.totalDonated,
-                goalAmount: seasonCheck.goalAmount
-              });
-              
-              this.queueDonation({
-                from: to,                                // Watched wallet (sending the donation)
-                originalFrom: from,                     // Original transaction sender
-                originalTo: to,                         // Original transaction recipient (watched wallet)
-                txHash: txHash,
-                assetType: 'USDC',
-                originalValue: value.toString(),
-                usdcEquivalent: value.toString(),       // Store original USDC equivalent
-                usdcFormatted: usdcFormatted,          // Store formatted USDC value
-                to: config.target,                     // The donation recipient address from the config
-                authorized: config.authorized,          // The contract authorized to spend tokens
-                configId: config.id,                    // Config ID to update records later
-                donationAmount: finalDonationAmount.toString(),
-                percentAmount: donationPercentage,
-                seasonInfo: seasonId ? {
-                  seasonId,
-                  isGoalComplete: seasonCheck.isGoalComplete,
-                  totalDonated: seasonCheck.totalDonated,
-                  goalAmount: seasonCheck.goalAmount
-                } : undefined,
-                timestamp: blockTimestamp || Math.floor(Date.now() / 1000)  // Use block timestamp
-              });
-              
-              console.log(`Queued donation of ${ethers.formatUnits(finalDonationAmount, 6)} USDC (${donationPercentage}%) to ${config.target}`);
-            } catch (error) {
-              console.error(`Error checking season goal for wallet ${to}:`, error);
-              
-              // Fall back to original donation amount if season check fails
-              this.queueDonation({
-                from: to,                                // Watched wallet (sending the donation)
-                originalFrom: from,                     // Original transaction sender
-                originalTo: to,                         // Original transaction recipient (watched wallet)
-                txHash: txHash,
-                assetType: 'USDC',
-                originalValue: value.toString(),
-                usdcEquivalent: value.toString(),       // Store original USDC equivalent
-                usdcFormatted: usdcFormatted,          // Store formatted USDC value
-                to: config.target,                     // The donation recipient address from the config
-                authorized: config.authorized,          // The contract authorized to spend tokens
-                configId: config.id,                    // Config ID to update records later
-                donationAmount: finalDonationAmount.toString(),
-                percentAmount: donationPercentage,
-                timestamp: blockTimestamp || Math.floor(Date.now() / 1000)  // Use block timestamp
-              });
-            }
+            // The season goal is applied when the donation is queued
+            await this.queueDonation({
+              from: to,                                // Watched wallet (sending the donation)
+              originalFrom: from,                     // Original transaction sender
+              originalTo: to,                         // Original transaction recipient (watched wallet)
+              txHash: txHash,
+              logIndex: logIndex,                     // Log index of the source transfer
+              assetType: token.symbol,
+              originalValue: value.toString(),
+              usdcEquivalent: usdcAmount.toString(),  // Store USDC equivalent of the full transfer
+              usdcFormatted: usdcFormatted,          // Store formatted USDC value
+              usdPrice: price.usd,                    // USD price of the token at block time
+              priceSource: price.source,              // Where the price came from
+              priceTimestamp: price.timestamp,        // Time the price applies to
+              to: config.target,                     // The donation recipient address from the config
+              authorized: config.authorized,          // The contract authorized to spend tokens
+              configId: config.id,                    // Config ID to update records later
+              donationAmount: finalDonationAmount.toString(),
+              percentAmount: donationPercentage,
+              timestamp: blockTimestamp              // Use block timestamp
+            });
+            
+            console.log(`Queued donation of up to ${ethers.formatUnits(finalDonationAmount, 6)} USDC (${donationPercentage}%) to ${config.target}`);
           }
         }
       } else {
-        console.log(`Unsupported token: ${tokenAddress}. Only USDC is currently supported.`);
+        console.log(`Unsupported token: ${tokenAddress}. Register it in the token registry to accept it.`);
       }
-      
-      // Mark transaction as processed AFTER successful donation processing
-      // This ensures we only mark it as processed if we actually handled it properly
-      console.log(`Marking transaction ${txHash} as processed`);
-      this.processedTransactions.add(txHash);
-      
     } catch (error) {
       console.error(`Error processing ERC20 transfer: ${error.message}`);
-      // Do NOT mark as processed if we hit an error - we want to retry the transaction
+      // Let the caller record the failure so the transfer can be retried
+      throw error;
     }
   }
 
@@ -767,8 +1285,18 @@ class MoralisWatcher {
           return;
         }
         
-        // Get USD value of the ETH
-        const ethUsdPrice = await priceFeed.getEtherPrice();
+        // Get USD value of the ETH at the time it was received
+        blockTimestamp = blockTimestamp || Math.floor(Date.now() / 1000);
+        const pricing = { asset: 'ETH', decimals: 18, blockNumber: tx.blockNumber };
+        const { price, reason } = await this.priceTransfer(pricing, blockTimestamp);
+        if (!price) {
+          // Circuit breaker: hold the donations until a trustworthy price is available
+          await this.holdForPrice({
+            txHash: tx.hash, logIndex: tx.logIndex, from, to, value: tx.value, assetType: 'ETH', timestamp: blockTimestamp, pricing
+          }, walletData.configurations, reason);
+          return;
+        }
+        const ethUsdPrice = price.usd;
         const ethAmount = parseFloat(ethers.formatEther(tx.value));
         const usdAmount = ethAmount * ethUsdPrice;
         
@@ -776,7 +1304,7 @@ class MoralisWatcher {
         
         // Convert ETH USD value to USDC base units (6 decimals)
         // We need this in the same format as USDC for the blockchain service
-        const receivedUsdcAmount = BigInt(Math.floor(usdAmount * 1000000)); // 6 decimals for USDC
+        const receivedUsdcAmount = priceFeed.usdcValue(tx.value, 18, ethUsdPrice); // 6 decimals for USDC
         
         // Process each configuration for this wallet
         for (const config of walletData.configurations) {
@@ -794,6 +1322,18 @@ class MoralisWatcher {
             continue;
           }
           
+          // Skip if this transfer already produced a donation for this configuration
+          if (await idempotency.hasBeenProcessed(tx.hash, tx.logIndex, config.id)) {
+            console.log(`DUPLICATE: Transaction ${tx.hash} already processed for config ${config.id}, skipping`);
+            continue;
+          }
+          
+          // A season past its end date stops donating before the watched wallets refresh drops it
+          if (await seasonGoalService.hasSeasonExpired(config.id)) {
+            console.log(`Season ${config.id} for wallet ${to} has expired, skipping`);
+            continue;
+          }
+          
           // Calculate donation amount based on percentage
           // Important: Calculate the donation as the exact percentage of the received amount
           const donationAmountFloat = usdAmount * (donationPercentage / 100);
@@ -804,6 +1344,7 @@ class MoralisWatcher {
           // Create donation object for processing
           const donation = {
             txHash: tx.hash,
+            logIndex: idempotency.normalizeLogIndex(tx.logIndex), // Native transfers have no log
             from: to,                                 // The watched wallet sending the donation
             originalFrom: from,                       // Original transaction sender
             originalTo: to,                           // Original transaction recipient (watched wallet)
@@ -815,56 +1356,47 @@ class MoralisWatcher {
             originalValue: tx.value.toString(),       // Original ETH value
             usdcEquivalent: receivedUsdcAmount.toString(), // USDC equivalent of full amount
             usdcFormatted: ethers.formatUnits(receivedUsdcAmount, 6), // Formatted for logging
+            usdPrice: price.usd,                      // ETH/USD price at block time
+            priceSource: price.source,                // Where the price came from
+            priceTimestamp: price.timestamp,          // Time the price applies to
             percentAmount: donationPercentage,        // Percentage applied
             assetType: 'ETH',                         // Asset type
             tokenType: 'ETH',                         // For backward compatibility
-            timestamp: blockTimestamp || Math.floor(Date.now() / 1000)
+            timestamp: blockTimestamp
           };
           
           // Add to processing queue
-          this.transactionQueue.push(donation);
+          await this.queueDonation(donation);
           console.log(`Added ETH donation to queue: From ${to} to ${config.target} for ${ethers.formatUnits(donationAmount, 6)} USDC (${donationPercentage}%)`);
         }
       }
     } catch (error) {
       console.error(`Error checking transaction: ${error.message}`);
+      // Let the caller record the failure so the transfer can be retried
+      throw error;
     }
   }
 
   // Get token details and USD value
   async getTokenDetails(tokenAddress, value) {
-    // Normalize addresses
-    const usdcAddress = (process.env.USDC_CONTRACT_ADDRESS || '').toLowerCase();
-    const wethAddress = (process.env.WETH_CONTRACT_ADDRESS || '').toLowerCase();
-    
     try {
-      // Handle USDC
-      if (tokenAddress === usdcAddress) {
-        // USDC has 6 decimals
-        const usdcAmount = parseFloat(ethers.formatUnits(value, 6));
-        return {
-          tokenType: 'USDC',
-          tokenSymbol: 'USDC',
-          usdAmount: usdcAmount // USDC is a stablecoin, 1 USDC = 1 USD
-        };
+      const token = tokenRegistry.get(tokenAddress);
+      if (!token) {
+        // Token not registered or disabled
+        return null;
       }
       
-      // Handle WETH
-      if (tokenAddress === wethAddress) {
-        // WETH has 18 decimals
-        const wethAmount = parseFloat(ethers.formatEther(value));
-        const ethUsdPrice = await priceFeed.getEtherPrice();
-        const usdAmount = wethAmount * ethUsdPrice;
-        
-        return {
-          tokenType: 'WETH',
-          tokenSymbol: 'WETH',
-          usdAmount
-        };
+      // Valued at the current price
+      const usdcAmount = await priceFeed.convertToUsdc(tokenRegistry.getPriceAsset(token), value, token.decimals);
+      if (usdcAmount === null) {
+        return null;
       }
       
-      // Other tokens not supported yet
-      return null;
+      return {
+        tokenType: token.symbol,
+        tokenSymbol: token.symbol,
+        usdAmount: parseFloat(ethers.formatUnits(usdcAmount, 6))
+      };
     } catch (error) {
       console.error(`Error getting token details: ${error.message}`);
       return null;
@@ -0,0 +1,353 @@
+const { ethers } = require('ethers');
+const PendingTransaction = require('../models/PendingTransaction');
+require('dotenv').config();
+
+// Serializes sends for a single executor wallet, persists the nonces it uses
+// and replaces transactions that are not mined in time with bumped EIP-1559 fees.
+class NonceManager {
+  constructor(signer) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.address = null;
+
+    // Next nonce we will hand out, null until synced with the chain
+    this.nextNonce = null;
+
+    // Promise chain used as a mutex so only one send runs at a time
+    this.sendLock = Promise.resolve();
+
+    // Replacement policy
+    this.stuckTimeoutMs = parseInt(process.env.NONCE_STUCK_TIMEOUT_MS || '', 10) || 60 * 1000; // 1 minute
+    this.feeBumpPercent = BigInt(parseInt(process.env.NONCE_FEE_BUMP_PERCENT || '', 10) || 25);
+    this.maxReplacements = parseInt(process.env.NONCE_MAX_REPLACEMENTS || '', 10) || 5;
+    this.pollIntervalMs = 3000;
+
+    // How long to wait for a receipt before handing the transaction to reconciliation
+    // (by default long enough for every replacement to get its turn)
+    this.receiptTimeoutMs = parseInt(process.env.NONCE_RECEIPT_TIMEOUT_MS || '', 10) || this.stuckTimeoutMs * (this.maxReplacements + 2);
+  }
+
+  // Helper function to delay execution for a specified time
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      this.address = (await this.signer.getAddress()).toLowerCase();
+    }
+    return this.address;
+  }
+
+  // Resume watching transactions left pending by a previous run
+  async init() {
+    const address = await this.getAddress();
+    const pending = await PendingTransaction.find({ signer: address, status: 'pending' }).sort({ nonce: 1 });
+
+    if (pending.length > 0) {
+      console.log(`Resuming ${pending.length} pending transaction(s) for executor ${address}`);
+    }
+
+    for (const record of pending) {
+      this.waitForReceipt(record).catch(error => {
+        console.error(`Error resuming pending transaction with nonce ${record.nonce}:`, error.message);
+      });
+    }
+  }
+
+  // Run a function while holding the send lock
+  async serialize(fn) {
+    const run = this.sendLock.then(fn, fn);
+    // Keep the chain alive even if this send fails
+    this.sendLock = run.catch(() => {});
+    return run;
+  }
+
+  // Work out the next nonce from the chain's pending count. Persisted transactions whose nonce
+  // is already mined are marked mined or dropped, and ones the node no longer knows about
+  // (evicted from the mempool, or never got there) are re-sent so the nonce is never skipped.
+  // Throws if such a transaction can't be re-sent: nothing after it could be mined anyway.
+  async syncNonce() {
+    this.nextNonce = null;
+    const address = await this.getAddress();
+    const minedNonce = await this.provider.getTransactionCount(address, 'latest');
+    const chainNonce = await this.provider.getTransactionCount(address, 'pending');
+
+    const pending = await PendingTransaction.find({ signer: address, status: 'pending' }).sort({ nonce: 1 });
+    for (const record of pending) {
+      if (record.nonce < minedNonce) {
+        const receipt = await this.findReceipt(record);
+        if (receipt) {
+          await this.markMined(record, receipt);
+        } else {
+          await PendingTransaction.findByIdAndUpdate(record._id, { status: 'dropped' });
+        }
+      } else if (record.nonce >= chainNonce) {
+        console.log(`Nonce ${record.nonce} for ${address} is not known to the node, re-sending it...`);
+        await this.resend(record);
+      }
+    }
+
+    this.nextNonce = await this.provider.getTransactionCount(address, 'pending');
+    return this.nextNonce;
+  }
+
+  // Current network fees, never below what we already paid plus the bump
+  async getFees(previous = null) {
+    const feeData = await this.provider.getFeeData();
+    let maxFeePerGas = feeData.maxFeePerGas;
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+
+    if (previous) {
+      const bump = (value) => (BigInt(value) * (100n + this.feeBumpPercent)) / 100n + 1n;
+      const bumpedMaxFee = bump(previous.maxFeePerGas);
+      const bumpedPriorityFee = bump(previous.maxPriorityFeePerGas);
+
+      maxFeePerGas = maxFeePerGas > bumpedMaxFee ? maxFeePerGas : bumpedMaxFee;
+      maxPriorityFeePerGas = maxPriorityFeePerGas > bumpedPriorityFee ? maxPriorityFeePerGas : bumpedPriorityFee;
+    }
+
+    // The max fee must always cover the tip
+    if (maxFeePerGas < maxPriorityFeePerGas) {
+      maxFeePerGas = maxPriorityFeePerGas;
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Whether a send failed because the nonce was already used
+  isNonceError(error) {
+    const message = (error && (error.shortMessage || error.message) || '').toLowerCase();
+    return error && (error.code === 'NONCE_EXPIRED' || message.includes('nonce too low') || message.includes('nonce has already been used'));
+  }
+
+  // Whether a broadcast failed before reaching the node, so it may have been accepted anyway
+  isNetworkError(error) {
+    return error && ['TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR', 'ECONNRESET', 'ETIMEDOUT'].includes(error.code);
+  }
+
+  // Sign a transaction for the given nonce and fees without sending it
+  async signRequest(txRequest, nonce, fees) {
+    const populated = await this.signer.populateTransaction({
+      to: txRequest.to,
+      data: txRequest.data,
+      value: txRequest.value || 0n,
+      gasLimit: txRequest.gasLimit,
+      nonce,
+      type: 2,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+    });
+    const signed = await this.signer.signTransaction(populated);
+    return { signed, hash: ethers.Transaction.from(signed).hash };
+  }
+
+  // Sign and broadcast a transaction request with the next nonce.
+  // Returns { hash, record } where record is the persisted PendingTransaction.
+  // The record is written before the broadcast, so a sent transaction is always tracked;
+  // once it is written this only throws if the node definitely rejected the transaction.
+  async sendTransaction(txRequest) {
+    return this.serialize(async () => {
+      const address = await this.getAddress();
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        if (this.nextNonce === null || attempt > 0) {
+          await this.syncNonce();
+        }
+
+        const nonce = this.nextNonce;
+        let record = null;
+
+        try {
+          const fees = await this.getFees();
+          const { signed, hash } = await this.signRequest(txRequest, nonce, fees);
+
+          record = await PendingTransaction.create({
+            signer: address,
+            nonce,
+            to: txRequest.to,
+            data: txRequest.data,
+            value: (txRequest.value || 0n).toString(),
+            gasLimit: txRequest.gasLimit ? txRequest.gasLimit.toString() : undefined,
+            maxFeePerGas: fees.maxFeePerGas.toString(),
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+            hashes: [hash],
+            lastSentAt: new Date(),
+            status: 'pending'
+          });
+
+          try {
+            await this.provider.broadcastTransaction(signed);
+          } catch (error) {
+            if (!this.isNetworkError(error)) {
+              throw error;
+            }
+            // The node may have it anyway; the wait loop re-broadcasts it if it never shows up
+            console.error(`Broadcast of ${hash} with nonce ${nonce} failed, treating it as sent:`, error.shortMessage || error.message);
+          }
+
+          this.nextNonce = nonce + 1;
+          console.log(`Sent transaction ${hash} from ${address} with nonce ${nonce}`);
+          return { hash, record };
+        } catch (error) {
+          // The node rejected the transaction, so forget the record we wrote for it
+          if (record) {
+            await PendingTransaction.deleteOne({ _id: record._id }).catch(deleteError => {
+              console.error(`Failed to remove rejected transaction with nonce ${nonce}:`, deleteError.message);
+            });
+          }
+          // Someone else used this nonce - resync from the chain and try once more
+          if ((this.isNonceError(error) || error.code === 11000) && attempt === 0) {
+            console.log(`Nonce ${nonce} already used for ${address}, resyncing with the chain...`);
+            continue;
+          }
+          // Anything else leaves our view of the nonce uncertain, resync on the next send
+          this.nextNonce = null;
+          throw error;
+        }
+      }
+    });
+  }
+
+  // Re-sign the record's transaction for the same nonce with bumped fees and broadcast it.
+  // The new hash is stored before the broadcast so a replacement that gets mined is never missed.
+  // Throws if the broadcast fails.
+  async resend(record) {
+    const fees = await this.getFees(record);
+    const { signed, hash } = await this.signRequest({
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value || '0'),
+      gasLimit: record.gasLimit ? BigInt(record.gasLimit) : undefined
+    }, record.nonce, fees);
+
+    // Remember the attempted fees even if the broadcast fails, so the next replacement bumps from there
+    await PendingTransaction.findByIdAndUpdate(record._id, {
+      $push: { hashes: hash },
+      $set: {
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        lastSentAt: new Date()
+      }
+    });
+
+    await this.provider.broadcastTransaction(signed);
+    console.log(`Re-sent transaction with nonce ${record.nonce}: ${hash} (maxFeePerGas ${fees.maxFeePerGas})`);
+
+    return PendingTransaction.findByIdAndUpdate(record._id, { $inc: { replacements: 1 } }, { new: true });
+  }
+
+  // Replace a stuck transaction with bumped fees
+  async replaceTransaction(record) {
+    return this.serialize(async () => {
+      try {
+        return await this.resend(record);
+      } catch (error) {
+        // The original may have been mined in the meantime; the wait loop will notice
+        console.error(`Failed to replace transaction with nonce ${record.nonce}:`, error.shortMessage || error.message);
+        return (await PendingTransaction.findById(record._id)) || record;
+      }
+    });
+  }
+
+  async markMined(record, receipt) {
+    await PendingTransaction.findByIdAndUpdate(record._id, {
+      status: 'mined',
+      minedHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    });
+  }
+
+  // Receipt of whichever hash was mined for this record, or null
+  async findReceipt(record) {
+    for (const hash of record.hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  // If the record's nonce was used up but none of its hashes were mined, something else
+  // took it: mark the record dropped. Returns true if it was dropped.
+  async checkDropped(record) {
+    const minedNonce = await this.provider.getTransactionCount(record.signer, 'latest');
+    if (minedNonce <= record.nonce) {
+      return false;
+    }
+
+    // Re-check in case the receipt landed between the two calls
+    if (await this.findReceipt(record)) {
+      return false;
+    }
+
+    await PendingTransaction.findByIdAndUpdate(record._id, { status: 'dropped' });
+    return true;
+  }
+
+  // Wait until one of the record's hashes is mined, replacing it when it gets stuck.
+  // Throws if the nonce was dropped or no receipt arrived within receiptTimeoutMs;
+  // the record stays pending in that case and getStatusForHash() can pick it up later.
+  async waitForReceipt(record) {
+    const address = await this.getAddress();
+    const deadline = Date.now() + this.receiptTimeoutMs;
+
+    while (true) {
+      let dropped = false;
+
+      try {
+        const receipt = await this.findReceipt(record);
+        if (receipt) {
+          await this.markMined(record, receipt);
+          return receipt;
+        }
+
+        dropped = await this.checkDropped(record);
+
+        // Replace the transaction if it has been waiting too long
+        const waitedMs = Date.now() - new Date(record.lastSentAt).getTime();
+        if (!dropped && waitedMs > this.stuckTimeoutMs && record.replacements < this.maxReplacements) {
+          console.log(`Transaction with nonce ${record.nonce} not mined after ${Math.round(waitedMs / 1000)}s, bumping fees...`);
+          record = await this.replaceTransaction(record);
+        }
+      } catch (error) {
+        // RPC hiccups (rate limits, timeouts) should not abandon a broadcast transaction
+        console.error(`Error while waiting for nonce ${record.nonce}:`, error.shortMessage || error.message);
+      }
+
+      if (dropped) {
+        throw new Error(`Nonce ${record.nonce} for ${address} was consumed by an unknown transaction`);
+      }
+
+      if (Date.now() >= deadline) {
+        // It may have been evicted from the mempool: resync (and re-send it) before the next send
+        this.nextNonce = null;
+        throw new Error(`Nonce ${record.nonce} for ${address} not mined after ${Math.round(this.receiptTimeoutMs / 1000)}s, leaving it for reconciliation`);
+      }
+
+      await this.delay(this.pollIntervalMs);
+    }
+  }
+
+  // Find the receipt for a hash we broadcast, following any replacements.
+  // Returns { receipt, dropped }: receipt is null while nothing is mined, and dropped
+  // is true if the nonce was used by a transaction that isn't ours.
+  async getStatusForHash(hash) {
+    const record = await PendingTransaction.findOne({ hashes: hash });
+    if (!record) {
+      return { receipt: await this.provider.getTransactionReceipt(hash), dropped: false };
+    }
+
+    const receipt = await this.findReceipt(record);
+    if (receipt) {
+      if (record.status === 'pending') {
+        await this.markMined(record, receipt);
+      }
+      return { receipt, dropped: false };
+    }
+    return { receipt: null, dropped: record.status === 'dropped' || await this.checkDropped(record) };
+  }
+}
+
+module.exports = NonceManager;
@@ -34,6 +34,42 @@ async function sendSeasonCompletionNotification(userFid) {
   }
 }
 
+/**
+ * Sends a notification to a user when their season reaches its end date before the goal
+ * @param {string} userFid - The user's Farcaster ID
+ * @param {number} percentComplete - How much of the goal was donated, in whole percent
+ * @returns {Promise<Object>} The API response
+ */
+async function sendSeasonExpiredNotification(userFid, percentComplete) {
+  try {
+    const options = {
+      method: 'POST',
+      headers: {
+        'x-api-key': process.env.NEYNAR_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        target_fids: [userFid],
+        notification: {
+          title: "Your Season Has Ended",
+          body: `You reached ${percentComplete}% of your season goal, open the miniapp to see your impact!`,
+          target_url: "https://eon-miniapp.vercel.app",
+          uuid: uuidv4()
+        }
+      })
+    };
+
+    const response = await fetch('https://api.neynar.com/v2/farcaster/frame/notifications', options);
+    const data = await response.json();
+    console.log('Season expired notification sent:', data);
+    return data;
+  } catch (error) {
+    console.error('Error sending season expired notification:', error);
+    throw error;
+  }
+}
+
 module.exports = {
-  sendSeasonCompletionNotification
+  sendSeasonCompletionNotification,
+  sendSeasonExpiredNotification
 }; 
\ No newline at end of file
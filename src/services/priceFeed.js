@@ -1,98 +1,205 @@
-const axios = require('axios');
+const { PRICE_PROVIDERS, getProviderPriority } = require('./priceProviders');
 require('dotenv').config();
 
+// Current USD prices per asset (ETH, or coingecko:<id> for registered tokens), each
+// cached and refreshed on its own interval. Providers in PRICE_PROVIDERS that support
+// an asset are tried in priority order; the first fresh answer is cross-checked
+// against the next provider that answers, and if they disagree by more than
+// PRICE_MAX_DEVIATION_PERCENT the cached price is not updated.
+// USD (stablecoins) is always 1 and never fetched.
 class PriceFeed {
   constructor() {
-    this.etherPrice = null;
-    this.lastUpdate = 0;
-    this.updateInterval = 1 * 60 * 1000; // Update price every 1 minute
-    this.isUpdating = false;
+    this.assets = new Map(); // asset -> cache entry, see track()
+    this.defaultRefreshMs = parseInt(process.env.PRICE_REFRESH_MS || '', 10) || 1 * 60 * 1000; // Update prices every 1 minute
+
+    this.providers = getProviderPriority();
+    // Answers older than this are stale (Chainlink ETH/USD on Base has a 20 minute heartbeat,
+    // plus some slack for the update to land)
+    this.maxPriceAge = parseInt(process.env.PRICE_MAX_AGE_SECONDS || '', 10) || 25 * 60; // 25 minutes
+    this.maxDeviationPercent = parseFloat(process.env.PRICE_MAX_DEVIATION_PERCENT || '') || 2;
   }
 
   async init() {
-    await this.updateEtherPrice();
-    // Set up interval to periodically update price
-    setInterval(() => this.updateEtherPrice(), this.updateInterval);
-    console.log('Price feed initialized successfully');
+    await this.track('ETH');
+    console.log(`Price feed initialized successfully (providers: ${this.providers.join(', ')})`);
+  }
+
+  // Start keeping an asset's price fresh. Assets are also tracked on their first getPrice().
+  async track(asset, refreshMs = this.defaultRefreshMs) {
+    if (this.assets.has(asset)) {
+      return this.assets.get(asset);
+    }
+
+    const entry = {
+      asset,
+      price: null,
+      source: null,
+      updatedAt: null,          // When the provider last updated the price (unix seconds)
+      lastRefreshAt: null,      // When we last got an accepted answer
+      refreshMs,
+      isUpdating: false,
+      // Metrics
+      updates: 0,
+      failures: 0,              // Refreshes where no provider had a fresh answer
+      deviationRejections: 0,   // Refreshes held back by the deviation check
+      disagreement: false,      // The last refresh was held back by the deviation check
+      lastError: null
+    };
+    this.assets.set(asset, entry);
+
+    await this.refresh(asset);
+    setInterval(() => this.refresh(asset), refreshMs);
+
+    return entry;
   }
 
-  async updateEtherPrice() {
-    if (this.isUpdating) return;
-    
-    this.isUpdating = true;
+  // Fresh answer from one provider, or null
+  async fetchQuote(name, asset) {
     try {
-      // Use CoinGecko API to get ETH price in USD
-      const response = await axios.get('https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd');
-      
-      if (response.data && response.data.ethereum && response.data.ethereum.usd) {
-        const newPrice = response.data.ethereum.usd;
-        this.etherPrice = newPrice;
-        this.lastUpdate = Date.now();
-        console.log(`Updated ETH price: $${newPrice}`);
-      } else {
-        console.error('Failed to get valid price data from CoinGecko');
+      const quote = await PRICE_PROVIDERS[name].fetch(asset);
+      const age = Math.floor(Date.now() / 1000) - quote.updatedAt;
+      if (age > this.maxPriceAge) {
+        console.error(`${asset} price from ${name} is stale (updated ${age}s ago), ignoring it`);
+        return null;
       }
+      return quote;
     } catch (error) {
-      console.error('Error updating ETH price:', error.message);
-      
-      // Fallback to another API if CoinGecko fails
-      try {
-        const response = await axios.get('https://min-api.cryptocompare.com/data/price?fsym=ETH&tsyms=USD');
-        
-        if (response.data && response.data.USD) {
-          const newPrice = response.data.USD;
-          this.etherPrice = newPrice;
-          this.lastUpdate = Date.now();
-          console.log(`Updated ETH price from fallback: $${newPrice}`);
-        } else {
-          console.error('Failed to get valid price data from fallback API');
+      console.error(`Error getting ${asset} price from ${name}:`, error.message);
+      return null;
+    }
+  }
+
+  async refresh(asset) {
+    const entry = this.assets.get(asset);
+    if (!entry || entry.isUpdating) return;
+
+    entry.isUpdating = true;
+    try {
+      // The first fresh answer wins; the next one (if any) is only used as a cross-check
+      const quotes = [];
+      for (const name of this.providers) {
+        if (!PRICE_PROVIDERS[name].supports(asset)) {
+          continue;
+        }
+        const quote = await this.fetchQuote(name, asset);
+        if (quote) {
+          quotes.push(quote);
+        }
+        if (quotes.length === 2) {
+          break;
+        }
+      }
+
+      if (quotes.length === 0) {
+        entry.failures++;
+        entry.lastError = 'No provider returned a fresh price';
+        console.error(`No price provider returned a fresh ${asset} price`);
+        return;
+      }
+
+      const [primary, secondary] = quotes;
+      if (secondary) {
+        const deviation = Math.abs(primary.price - secondary.price) / secondary.price * 100;
+        if (deviation > this.maxDeviationPercent) {
+          entry.deviationRejections++;
+          entry.disagreement = true;
+          entry.lastError = `${primary.source} deviates ${deviation.toFixed(2)}% from ${secondary.source}`;
+          console.error(`${asset} price from ${primary.source} ($${primary.price}) deviates ${deviation.toFixed(2)}% from ${secondary.source} ($${secondary.price}), keeping the previous price`);
+          return;
         }
-      } catch (fallbackError) {
-        console.error('Error updating ETH price from fallback:', fallbackError.message);
       }
+
+      entry.price = primary.price;
+      entry.source = primary.source;
+      entry.updatedAt = primary.updatedAt;
+      entry.lastRefreshAt = Date.now();
+      entry.updates++;
+      entry.disagreement = false;
+      entry.lastError = null;
+      console.log(`Updated ${asset} price from ${primary.source}: $${primary.price}`);
     } finally {
-      this.isUpdating = false;
+      entry.isUpdating = false;
     }
   }
 
-  // Get current ETH price in USD
-  getEtherPrice() {
-    // Force update if price is stale (older than 3 minutes)
-    if (!this.etherPrice || (Date.now() - this.lastUpdate > 3 * 60 * 1000)) {
-      console.log('Price data is stale, forcing update...');
-      this.updateEtherPrice();
+  isStale(entry) {
+    return !entry.price || Math.floor(Date.now() / 1000) - entry.updatedAt > this.maxPriceAge;
+  }
+
+  // Current USD price of one whole unit of asset, or null if there is no fresh price.
+  // Never guess a price: callers must handle null.
+  async getPrice(asset) {
+    if (asset === 'USD') {
+      return 1;
+    }
+
+    const entry = this.assets.get(asset) || await this.track(asset);
+
+    // Refresh now if the interval has missed a few updates
+    if (!entry.lastRefreshAt || Date.now() - entry.lastRefreshAt > 3 * entry.refreshMs) {
+      console.log(`${asset} price data is stale, forcing update...`);
+      await this.refresh(asset);
     }
-    
-    return this.etherPrice || 3000; // Default fallback value if everything fails
+
+    return this.isStale(entry) ? null : entry.price;
   }
 
-  // Convert ETH amount to equivalent USDC amount (6 decimals)
-  convertEthToUsdc(ethAmount) {
-    if (!ethAmount) return 0n;
-    
-    try {
-      // Get current ETH price
-      const ethPrice = this.getEtherPrice();
-      
-      // Use BigInt throughout to preserve precision
-      // Convert price to BigInt with 18 decimal precision
-      const ethPriceBigInt = BigInt(Math.floor(ethPrice * 1e18));
-      
-      // Calculate USD value: (ethAmount * ethPriceBigInt) / 1e18 = USD value with 18 decimals
-      const usdValueBigInt = (BigInt(ethAmount) * ethPriceBigInt) / BigInt(1e18);
-      
-      // Convert to USDC with 6 decimals (from 18 decimals)
-      // Division by 1e12 converts from 18 to 6 decimal places
-      const usdcAmount = usdValueBigInt / BigInt(1e12);
-      
-      console.log(`Converting ETH amount ${ethAmount} (${Number(ethAmount) / 1e18} ETH) to ${usdcAmount} USDC units (${Number(usdcAmount) / 1e6} USDC)`);
-      
-      return usdcAmount;
-    } catch (error) {
-      console.error('Error converting ETH to USDC:', error.message);
-      // Default fallback calculation if conversion fails
-      return (BigInt(ethAmount) * BigInt(2000)) / BigInt(1e12); // Assuming $2000 per ETH and adjusting decimals
+  // Price circuit breaker: open while the asset's price is stale or its providers disagree.
+  // Donations in an asset with an open breaker wait for a price instead of being valued.
+  // Returns { open, reason }.
+  async checkBreaker(asset) {
+    if (asset === 'USD') {
+      return { open: false };
+    }
+
+    const price = await this.getPrice(asset);
+    const entry = this.assets.get(asset);
+
+    if (entry.disagreement) {
+      return { open: true, reason: `${asset} price providers disagree (${entry.lastError})` };
+    }
+    if (!price) {
+      return { open: true, reason: `No fresh ${asset} price (older than ${this.maxPriceAge}s or unavailable)` };
+    }
+    return { open: false };
+  }
+
+  // Value an amount of asset (in its smallest unit) in USDC base units (6 decimals) at a USD price
+  usdcValue(amount, decimals, usdPrice) {
+    // Price with 8 decimals keeps sub-cent token prices precise
+    const priceBigInt = BigInt(Math.round(usdPrice * 1e8));
+    return (BigInt(amount) * priceBigInt * 10n ** 6n) / (10n ** BigInt(decimals) * 10n ** 8n);
+  }
+
+  // Convert an amount of asset to USDC base units at the current price, or null if no price is available
+  async convertToUsdc(asset, amount, decimals) {
+    if (!amount) return 0n;
+
+    const price = await this.getPrice(asset);
+    if (!price) {
+      return null;
     }
+    return this.usdcValue(amount, decimals, price);
+  }
+
+  // Cache state and staleness per tracked asset
+  getMetrics() {
+    const now = Date.now();
+    return Array.from(this.assets.values()).map(entry => ({
+      asset: entry.asset,
+      price: entry.price,
+      source: entry.source,
+      updatedAt: entry.updatedAt,
+      ageSeconds: entry.updatedAt ? Math.floor(now / 1000) - entry.updatedAt : null,
+      stale: this.isStale(entry),
+      breakerOpen: this.isStale(entry) || entry.disagreement,
+      refreshMs: entry.refreshMs,
+      lastRefreshAt: entry.lastRefreshAt ? new Date(entry.lastRefreshAt) : null,
+      updates: entry.updates,
+      failures: entry.failures,
+      deviationRejections: entry.deviationRejections,
+      lastError: entry.lastError
+    }));
   }
 }
 
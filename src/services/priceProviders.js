@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchain');
+require('dotenv').config();
+
+// Chainlink AggregatorV3Interface
+const AGGREGATOR_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Chainlink ETH/USD aggregator on Base mainnet
+const DEFAULT_ETH_USD_AGGREGATOR = '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70';
+
+// Price provider adapters. Assets are ETH or coingecko:<id>.
+// supports(asset) tells whether the adapter can price an asset; fetch(asset, options)
+// returns { price, updatedAt, source } with updatedAt in unix seconds, or throws.
+
+// Chainlink aggregators read through the existing RPC provider.
+// options.blockTag reads the answer as of a past block.
+const chainlink = {
+  getAggregator(asset) {
+    return asset === 'ETH' ? (process.env.CHAINLINK_ETH_USD_AGGREGATOR || DEFAULT_ETH_USD_AGGREGATOR) : null;
+  },
+
+  supports(asset) {
+    return Boolean(this.getAggregator(asset));
+  },
+
+  async fetch(asset, { blockTag } = {}) {
+    const address = this.getAggregator(asset);
+    const aggregator = new ethers.Contract(address, AGGREGATOR_ABI, blockchainService.provider);
+
+    const [decimals, round] = await Promise.all([
+      aggregator.decimals({ blockTag }),
+      aggregator.latestRoundData({ blockTag })
+    ]);
+
+    if (round.answer <= 0n) {
+      throw new Error(`Chainlink aggregator ${address} returned a non-positive answer`);
+    }
+
+    return {
+      price: Number(ethers.formatUnits(round.answer, decimals)),
+      updatedAt: Number(round.updatedAt),
+      source: 'chainlink'
+    };
+  }
+};
+
+const coingecko = {
+  // CoinGecko coin id for an asset
+  coinId(asset) {
+    if (asset === 'ETH') {
+      return 'ethereum';
+    }
+    return asset.startsWith('coingecko:') ? asset.slice('coingecko:'.length) : null;
+  },
+
+  supports(asset) {
+    return Boolean(this.coinId(asset));
+  },
+
+  async fetch(asset) {
+    const id = this.coinId(asset);
+    const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+      params: { ids: id, vs_currencies: 'usd', include_last_updated_at: true }
+    });
+
+    const data = response.data && response.data[id];
+    if (!data || !data.usd) {
+      throw new Error(`No valid ${id} price data from CoinGecko`);
+    }
+
+    return {
+      price: data.usd,
+      updatedAt: data.last_updated_at || Math.floor(Date.now() / 1000),
+      source: 'coingecko'
+    };
+  }
+};
+
+const cryptocompare = {
+  // CryptoCompare symbol for an asset
+  symbol(asset) {
+    return asset === 'ETH' ? 'ETH' : null;
+  },
+
+  supports(asset) {
+    return Boolean(this.symbol(asset));
+  },
+
+  async fetch(asset) {
+    const response = await axios.get('https://min-api.cryptocompare.com/data/price', {
+      params: { fsym: this.symbol(asset), tsyms: 'USD' }
+    });
+
+    if (!response.data || !response.data.USD) {
+      throw new Error(`No valid ${asset} price data from CryptoCompare`);
+    }
+
+    return {
+      price: response.data.USD,
+      updatedAt: Math.floor(Date.now() / 1000),
+      source: 'cryptocompare'
+    };
+  }
+};
+
+// Adapters by the name used in PRICE_PROVIDERS
+const PRICE_PROVIDERS = {
+  chainlink,
+  coingecko,
+  cryptocompare
+};
+
+// Provider names in priority order, from PRICE_PROVIDERS (comma separated)
+function getProviderPriority() {
+  const names = (process.env.PRICE_PROVIDERS || 'chainlink,coingecko,cryptocompare')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of names) {
+    if (!PRICE_PROVIDERS[name]) {
+      throw new Error(`Unknown price provider "${name}" in PRICE_PROVIDERS, expected one of ${Object.keys(PRICE_PROVIDERS).join(', ')}`);
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  PRICE_PROVIDERS,
+  getProviderPriority
+};
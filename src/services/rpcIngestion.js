@@ -0,0 +1,92 @@
+const BlockCheckpoint = require('../models/BlockCheckpoint');
+const BlockScanner = require('./blockScanner');
+const confirmationService = require('./confirmations');
+const blockchainService = require('./blockchain');
+require('dotenv').config();
+
+// Name of the checkpoint this poller advances (shadow mode keeps its own)
+const CHECKPOINT_NAME = blockchainService.dryRun ? 'shadow:rpc-ingestion' : 'rpc-ingestion';
+
+// Provider-agnostic ingestion backend used with INGESTION_MODE=rpc instead of Moralis streams.
+// Polls new blocks, records transfers to watched wallets as provisional (the same as an
+// unconfirmed webhook) and lets the confirmation service promote them once they are deep enough.
+// Works against any JSON-RPC node, including a local Anvil or Hardhat node.
+class RpcIngestionService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.RPC_POLL_INTERVAL_MS || '', 10) || 5 * 1000; // 5 seconds
+    this.maxBlocksPerPoll = parseInt(process.env.RPC_MAX_BLOCKS_PER_POLL || '', 10) || 500;
+
+    this.provider = null;
+    this.scanner = null;
+    this.getWatchedAddresses = null;
+    this.isPolling = false;
+  }
+
+  // Start polling. getWatchedAddresses() returns the wallets to look for.
+  start(provider, { getWatchedAddresses }) {
+    this.provider = provider;
+    this.scanner = new BlockScanner(provider);
+    this.getWatchedAddresses = getWatchedAddresses;
+
+    console.log(`RPC ingestion started (polling every ${this.pollIntervalMs / 1000}s)`);
+
+    setInterval(() => {
+      this.poll().catch(error => {
+        console.error('Error polling blocks:', error);
+      });
+    }, this.pollIntervalMs);
+  }
+
+  async getCheckpoint() {
+    const checkpoint = await BlockCheckpoint.findOne({ name: CHECKPOINT_NAME });
+    return checkpoint ? checkpoint.blockNumber : null;
+  }
+
+  async setCheckpoint(blockNumber) {
+    await BlockCheckpoint.updateOne(
+      { name: CHECKPOINT_NAME },
+      { $set: { blockNumber } },
+      { upsert: true }
+    );
+  }
+
+  // Scan blocks produced since the last poll
+  async poll() {
+    if (this.isPolling || !this.provider) {
+      return;
+    }
+
+    try {
+      this.isPolling = true;
+
+      const head = await this.provider.getBlockNumber();
+      const checkpoint = await this.getCheckpoint();
+
+      // First poll starts at the head; older blocks are the backfill job's responsibility
+      const fromBlock = checkpoint === null ? head : checkpoint + 1;
+      const toBlock = Math.min(head, fromBlock + this.maxBlocksPerPoll - 1);
+      if (fromBlock > toBlock) {
+        return;
+      }
+
+      const transfers = await this.scanner.scanRange(fromBlock, toBlock, this.getWatchedAddresses());
+      for (const transfer of transfers) {
+        await confirmationService.recordProvisional(transfer);
+      }
+
+      await this.setCheckpoint(toBlock);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async getStatus() {
+    return {
+      checkpoint: await this.getCheckpoint(),
+      head: this.provider ? await this.provider.getBlockNumber() : null,
+      polling: this.isPolling
+    };
+  }
+}
+
+module.exports = new RpcIngestionService();
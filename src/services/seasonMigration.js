@@ -0,0 +1,146 @@
+const ExistingWallet = require('../models/ExistingWallet');
+const Season = require('../models/Season');
+
+const SEASON_SCHEMA_VERSION = 1;
+
+// Converts schemaless season_records written by the miniapp into the typed Season shape.
+// Legacy fields are left in place for the wallet config readers; the typed fields are
+// added next to them and schemaVersion marks the record as converted, so running the
+// migration again only touches records written since.
+//
+// Legacy records store the goal as whole dollars in dollarAmount, the wallet as
+// walletAddress or address, and the start as startDate, timestamp (seconds or ms)
+// or only the document creation time.
+class SeasonMigration {
+  // Parse a legacy date field: Date, ISO string, or unix seconds/milliseconds
+  toDate(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const number = Number(value);
+      date = new Date(number < 1e12 ? number * 1000 : number);
+    } else {
+      date = new Date(value);
+    }
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Legacy numbers may be stored as strings
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+  }
+
+  // Typed Season fields for a legacy record, or { skipReason } if it can't be converted
+  convert(record, now = new Date()) {
+    let walletAddress = record.walletAddress || record.address;
+    if (!walletAddress) {
+      return { skipReason: 'missing wallet address' };
+    }
+    walletAddress = String(walletAddress).toLowerCase();
+    if (!walletAddress.startsWith('0x')) {
+      walletAddress = '0x' + walletAddress;
+    }
+
+    // Records without a goal are plain donation configs, not seasons
+    const dollars = this.toNumber(record.dollarAmount);
+    if (!dollars || dollars <= 0) {
+      return { skipReason: 'no season goal' };
+    }
+
+    const startDate = this.toDate(record.startDate) || this.toDate(record.timestamp) || record._id.getTimestamp();
+    let endDate = this.toDate(record.endDate);
+    if (endDate && endDate <= startDate) {
+      console.warn(`Season record ${record._id} ends before it starts (${endDate.toISOString()}), dropping its endDate`);
+      endDate = null;
+    }
+
+    let status;
+    if (record.completed === true || record.completedDate) {
+      status = 'completed';
+    } else if (record.active === true) {
+      status = 'active';
+    } else if (endDate && endDate <= now) {
+      status = 'expired';
+    } else {
+      status = 'cancelled';
+    }
+
+    const fields = {
+      walletAddress,
+      status,
+      active: status === 'active',
+      goalUnits: BigInt(Math.round(dollars * 1e6)).toString(),
+      startDate,
+      schemaVersion: SEASON_SCHEMA_VERSION
+    };
+
+    if (endDate) fields.endDate = endDate;
+    if (this.toNumber(record.fid) !== null) fields.fid = this.toNumber(record.fid);
+    if (this.toNumber(record.percentAmount) !== null) fields.percentAmount = this.toNumber(record.percentAmount);
+    if (this.toNumber(record.lastDonation) !== null) fields.lastDonation = this.toNumber(record.lastDonation);
+    if (record.target) fields.target = String(record.target).toLowerCase();
+    if (record.authorized) fields.authorized = String(record.authorized);
+
+    if (status === 'completed') {
+      fields.completedAt = this.toDate(record.completedDate) || this.toDate(record.completedAt) || this.toDate(record.lastUpdated) || now;
+    } else if (status === 'expired') {
+      fields.expiredAt = endDate;
+    } else if (status === 'cancelled') {
+      fields.cancelledAt = this.toDate(record.lastUpdated) || now;
+    }
+
+    return { fields };
+  }
+
+  // Convert every unconverted record (or only one wallet's with { walletAddress }).
+  // Pass { dryRun: true } to report what would change without writing.
+  async run({ walletAddress, dryRun = false } = {}) {
+    const query = { schemaVersion: { $exists: false } };
+    if (walletAddress) {
+      const address = new RegExp(`^(0x)?${walletAddress.toLowerCase().replace(/^0x/, '')}$`, 'i');
+      query.$or = [{ walletAddress: address }, { address }];
+    }
+
+    const records = await ExistingWallet.find(query).lean();
+    const results = { migrated: 0, skipped: 0, errors: 0 };
+
+    for (const record of records) {
+      const { fields, skipReason } = this.convert(record);
+      if (skipReason) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        // Validate against the Season schema before touching the record
+        await new Season({ _id: record._id, ...fields }).validate();
+
+        if (!dryRun) {
+          await Season.updateOne(
+            { _id: record._id, schemaVersion: { $exists: false } },
+            { $set: fields }
+          );
+        }
+        results.migrated++;
+        console.log(`${dryRun ? '[dry run] Would migrate' : 'Migrated'} season ${record._id} for ${fields.walletAddress} (${fields.status}, goal ${fields.goalUnits} units)`);
+      } catch (error) {
+        results.errors++;
+        console.error(`Error migrating season record ${record._id}:`, error.message);
+      }
+    }
+
+    if (results.migrated > 0 || results.errors > 0) {
+      console.log(`Season migration: ${results.migrated} migrated, ${results.skipped} skipped, ${results.errors} errors`);
+    }
+    return results;
+  }
+}
+
+module.exports = new SeasonMigration();
@@ -0,0 +1,138 @@
+const { ethers } = require('ethers');
+const NonceManager = require('./nonceManager');
+const { loadExecutorSigners } = require('./signers');
+require('dotenv').config();
+
+// Pool of executor wallets used to send donate() transactions.
+// Signers are used round-robin and skipped while they are out of gas
+// or not registered as an executor on the EON contract being called.
+class SignerPool {
+  constructor(provider, getEonContract) {
+    this.provider = provider;
+    this.getEonContract = getEonContract;
+
+    // Minimum ETH balance a signer needs to be picked for a send
+    this.minBalance = ethers.parseEther(process.env.EXECUTOR_MIN_BALANCE_ETH || '0.0005');
+    this.balanceCheckInterval = parseInt(process.env.EXECUTOR_BALANCE_CHECK_MS || '', 10) || 60 * 1000; // 1 minute
+    this.executorCacheTtl = 10 * 60 * 1000; // Re-check isExecutor every 10 minutes
+
+    // Local keys, encrypted keystores, remote signers or a custom signer module (see signers.js)
+    this.signers = loadExecutorSigners(provider).map(wallet => ({
+      wallet,
+      address: wallet.address.toLowerCase(),
+      nonceManager: new NonceManager(wallet),
+      balance: null,
+      outOfGas: false,
+      executorFor: new Map() // contract address -> { isExecutor, checkedAt }
+    }));
+
+    if (this.signers.length === 0) {
+      throw new Error('No executor signers configured: set PRIVATE_KEY, EXECUTOR_KEYSTORE, EXECUTOR_KEYS_DIR or EXECUTOR_REMOTE_SIGNER_URL');
+    }
+
+    this.nextIndex = 0;
+    console.log(`Loaded ${this.signers.length} executor signer(s): ${this.signers.map(signer => signer.address).join(', ')}`);
+  }
+
+  async init() {
+    for (const signer of this.signers) {
+      // Remote signers confirm they sign for the configured address before we use them
+      if (typeof signer.wallet.verify === 'function') {
+        await signer.wallet.verify();
+      }
+      await signer.nonceManager.init();
+    }
+
+    await this.refreshBalances();
+
+    // Keep an eye on executor gas balances
+    setInterval(() => {
+      this.refreshBalances().catch(error => {
+        console.error('Error refreshing executor balances:', error);
+      });
+    }, this.balanceCheckInterval);
+  }
+
+  // Update the ETH balance of every signer and flag the ones running low
+  async refreshBalances() {
+    for (const signer of this.signers) {
+      try {
+        signer.balance = await this.provider.getBalance(signer.address);
+        const wasOutOfGas = signer.outOfGas;
+        signer.outOfGas = signer.balance < this.minBalance;
+
+        if (signer.outOfGas && !wasOutOfGas) {
+          console.error(`⚠️ Executor ${signer.address} is low on gas: ${ethers.formatEther(signer.balance)} ETH`);
+        } else if (!signer.outOfGas && wasOutOfGas) {
+          console.log(`Executor ${signer.address} is funded again: ${ethers.formatEther(signer.balance)} ETH`);
+        }
+      } catch (error) {
+        console.error(`Error checking balance for executor ${signer.address}:`, error.message);
+      }
+    }
+  }
+
+  // Check (with caching) whether a signer is registered as executor on a contract
+  async isExecutorFor(signer, contractAddress) {
+    const key = contractAddress.toLowerCase();
+    const cached = signer.executorFor.get(key);
+
+    if (cached && Date.now() - cached.checkedAt < this.executorCacheTtl) {
+      return cached.isExecutor;
+    }
+
+    const isExecutor = await this.getEonContract(contractAddress).isExecutor(signer.address);
+    signer.executorFor.set(key, { isExecutor, checkedAt: Date.now() });
+
+    if (!isExecutor) {
+      console.log(`Executor ${signer.address} is not registered on EON contract ${contractAddress}`);
+    }
+    return isExecutor;
+  }
+
+  // Pick the next usable signer for a contract, round-robin. Returns null if none is usable.
+  async getSigner(contractAddress) {
+    for (let i = 0; i < this.signers.length; i++) {
+      const index = (this.nextIndex + i) % this.signers.length;
+      const signer = this.signers[index];
+
+      if (signer.outOfGas) {
+        continue;
+      }
+
+      if (!(await this.isExecutorFor(signer, contractAddress))) {
+        continue;
+      }
+
+      this.nextIndex = (index + 1) % this.signers.length;
+      return signer;
+    }
+
+    return null;
+  }
+
+  // Take a signer out of rotation until the next balance check shows it funded
+  markOutOfGas(signer) {
+    signer.outOfGas = true;
+    console.error(`⚠️ Executor ${signer.address} ran out of gas, skipping it until it is funded`);
+  }
+
+  // Receipt for a hash sent by any of our signers, following fee-bumped replacements
+  async getStatusForHash(hash) {
+    return this.signers[0].nonceManager.getStatusForHash(hash);
+  }
+
+  // Summary of every signer for status reporting
+  getStatus() {
+    return this.signers.map(signer => ({
+      address: signer.address,
+      balance: signer.balance !== null ? ethers.formatEther(signer.balance) : null,
+      outOfGas: signer.outOfGas,
+      executorFor: Object.fromEntries(
+        Array.from(signer.executorFor.entries()).map(([contract, { isExecutor }]) => [contract, isExecutor])
+      )
+    }));
+  }
+}
+
+module.exports = SignerPool;
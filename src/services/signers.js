@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+// Executor signers can come from several sources. Whatever the source, a signer must be
+// an ethers Signer (AbstractSigner) connected to the provider with a synchronous `address`
+// property, so the signer pool and nonce manager can treat every executor the same way.
+
+// Signer that forwards signing to an HTTP signing service instead of holding the key in process.
+// The service is expected to expose:
+//   GET  /address           -> { address }
+//   POST /sign-transaction  { transaction } -> { signedTransaction }
+//   POST /sign-message      { message }     -> { signature }
+//   POST /sign-typed-data   { domain, types, value } -> { signature }
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, address, provider = null, authToken = null) {
+    super(provider);
+    this.url = url.replace(/\/$/, '');
+    this.address = ethers.getAddress(address);
+    this.authToken = authToken;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider, this.authToken);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async request(method, endpoint, body) {
+    const headers = this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {};
+    const response = await axios({ method, url: `${this.url}${endpoint}`, data: body, headers, timeout: 30000 });
+    return response.data;
+  }
+
+  // Make sure the service signs for the address we were configured with
+  async verify() {
+    const { address } = await this.request('get', '/address');
+    if (ethers.getAddress(address) !== this.address) {
+      throw new Error(`Remote signer at ${this.url} signs for ${address}, expected ${this.address}`);
+    }
+  }
+
+  async signTransaction(tx) {
+    // Resolve names and fill in defaults the same way a local wallet would
+    const populated = await this.populateTransaction(tx);
+    delete populated.from;
+
+    const unsigned = ethers.Transaction.from(populated);
+    const { signedTransaction } = await this.request('post', '/sign-transaction', {
+      transaction: unsigned.unsignedSerialized
+    });
+
+    // Never broadcast something signed for a different account or payload
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (signed.from !== this.address || signed.unsignedHash !== unsigned.unsignedHash) {
+      throw new Error('Remote signer returned a transaction that does not match the request');
+    }
+
+    return signedTransaction;
+  }
+
+  async signMessage(message) {
+    const payload = typeof message === 'string' ? message : ethers.hexlify(message);
+    const { signature } = await this.request('post', '/sign-message', { message: payload });
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await this.request('post', '/sign-typed-data', { domain, types, value });
+    return signature;
+  }
+}
+
+// Read a keystore passphrase from the configured file
+function readKeystorePassword() {
+  const passwordFile = process.env.EXECUTOR_KEYSTORE_PASSWORD_FILE;
+  if (!passwordFile) {
+    throw new Error('EXECUTOR_KEYSTORE_PASSWORD_FILE must be set to decrypt executor keystores');
+  }
+  return fs.readFileSync(passwordFile, 'utf8').trim();
+}
+
+// Decrypt an encrypted JSON keystore (as produced by geth, foundry or ethers)
+function loadKeystore(file, password, provider) {
+  console.log(`Decrypting executor keystore ${path.basename(file)}...`);
+  const json = fs.readFileSync(file, 'utf8');
+  return ethers.Wallet.fromEncryptedJsonSync(json, password).connect(provider);
+}
+
+// Build every configured executor signer
+//   PRIVATE_KEY / EXECUTOR_PRIVATE_KEYS   - raw keys (comma separated)
+//   EXECUTOR_KEYSTORE                     - a single encrypted JSON keystore
+//   EXECUTOR_KEYS_DIR                     - *.key files with raw keys and *.json encrypted keystores
+//   EXECUTOR_KEYSTORE_PASSWORD_FILE       - passphrase for the keystores
+//   EXECUTOR_REMOTE_SIGNER_URL / _ADDRESS - an HTTP signing service
+//   EXECUTOR_SIGNER_MODULE                - a module exporting createSigners(provider)
+function loadExecutorSigners(provider) {
+  const signers = [];
+  const keys = [];
+
+  if (process.env.PRIVATE_KEY) {
+    keys.push(process.env.PRIVATE_KEY);
+  }
+
+  // Comma separated list of additional executor keys
+  if (process.env.EXECUTOR_PRIVATE_KEYS) {
+    keys.push(...process.env.EXECUTOR_PRIVATE_KEYS.split(',').map(key => key.trim()).filter(Boolean));
+  }
+
+  const keystoreFiles = [];
+  if (process.env.EXECUTOR_KEYSTORE) {
+    keystoreFiles.push(process.env.EXECUTOR_KEYSTORE);
+  }
+
+  // Directory with raw keys (*.key) and encrypted keystores (*.json)
+  const keysDir = process.env.EXECUTOR_KEYS_DIR;
+  if (keysDir) {
+    const files = fs.readdirSync(keysDir).sort();
+    for (const file of files) {
+      if (file.endsWith('.key')) {
+        keys.push(fs.readFileSync(path.join(keysDir, file), 'utf8').trim());
+      } else if (file.endsWith('.json')) {
+        keystoreFiles.push(path.join(keysDir, file));
+      }
+    }
+  }
+
+  for (const key of keys) {
+    signers.push(new ethers.Wallet(key.startsWith('0x') ? key : `0x${key}`, provider));
+  }
+
+  if (keystoreFiles.length > 0) {
+    const password = readKeystorePassword();
+    for (const file of keystoreFiles) {
+      signers.push(loadKeystore(file, password, provider));
+    }
+  }
+
+  if (process.env.EXECUTOR_REMOTE_SIGNER_URL) {
+    if (!process.env.EXECUTOR_REMOTE_SIGNER_ADDRESS) {
+      throw new Error('EXECUTOR_REMOTE_SIGNER_ADDRESS must be set when using a remote signer');
+    }
+    signers.push(new RemoteSigner(
+      process.env.EXECUTOR_REMOTE_SIGNER_URL,
+      process.env.EXECUTOR_REMOTE_SIGNER_ADDRESS,
+      provider,
+      process.env.EXECUTOR_REMOTE_SIGNER_TOKEN || null
+    ));
+  }
+
+  // Custom signer implementations (e.g. a KMS) can be plugged in as a module
+  if (process.env.EXECUTOR_SIGNER_MODULE) {
+    const { createSigners } = require(path.resolve(process.env.EXECUTOR_SIGNER_MODULE));
+    signers.push(...createSigners(provider));
+  }
+
+  // Skip duplicates so the same account isn't used twice with separate nonce tracking
+  const unique = new Map();
+  for (const signer of signers) {
+    unique.set(signer.address.toLowerCase(), signer);
+  }
+
+  return Array.from(unique.values());
+}
+
+module.exports = {
+  RemoteSigner,
+  loadExecutorSigners
+};
@@ -0,0 +1,125 @@
+const Token = require('../models/Token');
+require('dotenv').config();
+
+// Registered tip tokens, kept in memory so the webhook filter can check them synchronously.
+// USDC and WETH from the environment are registered on first start; anything else is added through the API.
+class TokenRegistry {
+  constructor() {
+    this.tokens = new Map(); // address -> token
+    this.refreshInterval = 5 * 60 * 1000; // Pick up changes made by other instances every 5 minutes
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+
+    await this.seedDefaults();
+    await this.refresh();
+
+    setInterval(() => {
+      this.refresh().catch(error => {
+        console.error('Error refreshing token registry:', error);
+      });
+    }, this.refreshInterval);
+
+    this.initialized = true;
+    console.log(`Token registry initialized with ${this.getAddresses().length} enabled token(s)`);
+  }
+
+  // Register the tokens that used to be hard-coded, without touching existing entries
+  async seedDefaults() {
+    const defaults = [
+      { address: process.env.USDC_CONTRACT_ADDRESS, symbol: 'USDC', decimals: 6, priceSource: 'usd' },
+      { address: process.env.WETH_CONTRACT_ADDRESS, symbol: 'WETH', decimals: 18, priceSource: 'eth' }
+    ];
+
+    for (const token of defaults) {
+      if (!token.address) {
+        continue;
+      }
+
+      await Token.updateOne(
+        { address: token.address.toLowerCase() },
+        { $setOnInsert: { ...token, address: token.address.toLowerCase() } },
+        { upsert: true }
+      );
+    }
+  }
+
+  async refresh() {
+    const tokens = await Token.find({}).lean();
+    this.tokens = new Map(tokens.map(token => [token.address, token]));
+  }
+
+  // Enabled token for an address, or null
+  get(address) {
+    const token = this.tokens.get((address || '').toLowerCase());
+    return token && token.enabled ? token : null;
+  }
+
+  isSupported(address) {
+    return this.get(address) !== null;
+  }
+
+  // Addresses of every enabled token
+  getAddresses() {
+    return Array.from(this.tokens.values())
+      .filter(token => token.enabled)
+      .map(token => token.address);
+  }
+
+  async list() {
+    return Token.find({}).sort({ symbol: 1 });
+  }
+
+  // Create or update a token: { address, symbol, decimals, priceSource, priceId, enabled }
+  async upsert(data) {
+    const address = (data.address || '').toLowerCase();
+    if (!/^0x[0-9a-f]{40}$/.test(address)) {
+      return { success: false, message: 'A valid token address is required' };
+    }
+
+    const existing = await Token.findOne({ address });
+    const token = existing || new Token({ address });
+
+    for (const field of ['symbol', 'decimals', 'priceSource', 'priceId', 'enabled']) {
+      if (data[field] !== undefined) {
+        token[field] = data[field];
+      }
+    }
+
+    if (token.priceSource === 'coingecko' && !token.priceId) {
+      return { success: false, message: 'priceId is required for the coingecko price source' };
+    }
+
+    try {
+      await token.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return { success: false, message: error.message };
+      }
+      throw error;
+    }
+
+    await this.refresh();
+    return { success: true, token };
+  }
+
+  // Asset the token is priced as in the price feeds
+  getPriceAsset(token) {
+    switch (token.priceSource) {
+      case 'usd':
+        return 'USD';
+      case 'eth':
+        return 'ETH';
+      case 'coingecko':
+        return `coingecko:${token.priceId}`;
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = new TokenRegistry();
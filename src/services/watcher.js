@@ -1340,7 +1340,11 @@ class BlockchainWatcher {
           // For WETH, unwrap to ETH value and then convert to USDC
           // First adjust for decimal difference between WETH (18) and ETH (18)
           const ethEquivalent = value;
-          usdcEquivalent = priceFeed.convertEthToUsdc(ethEquivalent);
+          usdcEquivalent = await priceFeed.convertToUsdc('ETH', ethEquivalent, 18);
+          if (usdcEquivalent === null) {
+            console.log(`No fresh ETH price available to value WETH transfer ${txHash}. Skipping.`);
+            return;
+          }
           // Safely format the values using ethers.js formatUnits
           console.log(`Received ${ethers.formatUnits(value, tokenDecimals)} WETH = ${ethers.formatUnits(usdcEquivalent, 6)} USDC`);
         } else {
@@ -1432,7 +1436,11 @@ class BlockchainWatcher {
       
       if (assetType === 'ETH') {
         // Convert ETH to USDC for donation calculation
-        usdcEquivalent = priceFeed.convertEthToUsdc(valueAmount);
+        usdcEquivalent = await priceFeed.convertToUsdc('ETH', valueAmount, 18);
+        if (usdcEquivalent === null) {
+          console.log(`No fresh ETH price available to value ${assetType} transfer ${txHash}. Skipping.`);
+          continue;
+        }
         rawValue = ethers.formatEther(valueAmount);
         usdcFormatted = (Number(usdcEquivalent) / 1e6).toFixed(6);
         console.log(`Transaction value: ${rawValue} ETH = ${usdcFormatted} USDC`);
@@ -1444,7 +1452,11 @@ class BlockchainWatcher {
         console.log(`Transaction value: ${usdcFormatted} USDC`);
       } else if (assetType === 'WETH') {
         // Same as ETH in value
-        usdcEquivalent = priceFeed.convertEthToUsdc(valueAmount);
+        usdcEquivalent = await priceFeed.convertToUsdc('ETH', valueAmount, 18);
+        if (usdcEquivalent === null) {
+          console.log(`No fresh ETH price available to value ${assetType} transfer ${txHash}. Skipping.`);
+          continue;
+        }
         rawValue = ethers.formatEther(valueAmount);
         usdcFormatted = (Number(usdcEquivalent) / 1e6).toFixed(6);
         console.log(`Transaction value: ${rawValue} WETH = ${usdcFormatted} USDC`);
@@ -0,0 +1,251 @@
+const os = require('os');
+const WebhookInboxItemModel = require('../models/WebhookInboxItem');
+const blockchainService = require('./blockchain');
+require('dotenv').config();
+
+// Shadow mode keeps its own inbox
+const WebhookInboxItem = blockchainService.dryRun ? WebhookInboxItemModel.Shadow : WebhookInboxItemModel;
+
+// Headers that should never end up in the database
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+// Durable inbox for webhook deliveries: payloads are persisted on arrival and
+// processed by a worker that records the outcome of every delivery.
+class WebhookInbox {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollIntervalMs = parseInt(process.env.WEBHOOK_INBOX_POLL_MS || '', 10) || 5 * 1000; // 5 seconds
+    this.leaseMs = parseInt(process.env.WEBHOOK_INBOX_LEASE_MS || '', 10) || 5 * 60 * 1000; // 5 minutes
+    this.isProcessing = false;
+    this.started = false;
+  }
+
+  // Delivery fields of an incoming request
+  fromRequest(req) {
+    const headers = { ...req.headers };
+    for (const name of REDACTED_HEADERS) {
+      delete headers[name];
+    }
+
+    return {
+      route: req.originalUrl || req.url,
+      headers,
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {}),
+      body: req.body || {}
+    };
+  }
+
+  // Persist an incoming request. Throws if it cannot be stored so the sender retries.
+  async receive(req) {
+    return this.store(this.fromRequest(req));
+  }
+
+  // Keep a request that failed signature verification for inspection. It is never processed.
+  async recordRejected(req, reason) {
+    const { route, headers, rawBody, body } = this.fromRequest(req);
+
+    return WebhookInboxItem.create({
+      route,
+      headers,
+      rawBody,
+      streamId: body.streamId,
+      tag: body.tag,
+      status: 'rejected',
+      error: reason
+    });
+  }
+
+  // Persist a delivery and queue it for the worker.
+  // With claim: true the item is stored already claimed by this process, for callers
+  // that process it themselves via processItem().
+  async store({ route, headers = {}, rawBody, body }, { claim = false } = {}) {
+    const block = body.block || {};
+
+    const item = await WebhookInboxItem.create({
+      route,
+      headers,
+      rawBody,
+      streamId: body.streamId,
+      tag: body.tag,
+      confirmed: typeof body.confirmed === 'boolean' ? body.confirmed : undefined,
+      blockNumber: block.number ? parseInt(block.number) : undefined,
+      blockTimestamp: block.timestamp ? parseInt(block.timestamp) : undefined,
+      ...(claim ? {
+        status: 'processing',
+        lockedBy: this.workerId,
+        leaseExpiresAt: new Date(Date.now() + this.leaseMs),
+        attempts: 1
+      } : {})
+    });
+
+    // Process right away rather than waiting for the next poll
+    if (!claim) {
+      this.kick();
+    }
+    return item;
+  }
+
+  // Start the worker loop
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    console.log('Webhook inbox worker started');
+    this.kick();
+    setInterval(() => this.kick(), this.pollIntervalMs);
+  }
+
+  // Process pending items in the background
+  kick() {
+    if (!this.started || this.isProcessing) {
+      return;
+    }
+    this.processPending().catch(error => {
+      console.error('Error processing webhook inbox:', error);
+    });
+  }
+
+  // Atomically claim the oldest item that is waiting or whose worker went away
+  async claimNext() {
+    return WebhookInboxItem.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'received' },
+          { status: 'processing', leaseExpiresAt: { $lte: new Date() } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          leaseExpiresAt: new Date(Date.now() + this.leaseMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Work through the inbox until it is empty
+  async processPending() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    try {
+      this.isProcessing = true;
+
+      let item;
+      while ((item = await this.claimNext())) {
+        await this.processItem(item);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  // Run a claimed item through the webhook processor and record the outcome
+  async processItem(item, options = {}) {
+    // Required here to avoid a circular dependency with the webhook routes
+    const { processWebhookData } = require('../routes/webhookRoutes');
+
+    try {
+      const body = JSON.parse(item.rawBody);
+
+      // Verification pings and other payloads without a stream carry no events
+      let result = { transfers: 0, errors: [] };
+      if (body.streamId) {
+        result = await processWebhookData(body, options);
+      }
+
+      const failed = result.errors.length > 0;
+      await WebhookInboxItem.updateOne(
+        { _id: item._id },
+        {
+          $set: {
+            status: failed ? 'failed' : 'done',
+            processedAt: new Date(),
+            result,
+            error: failed ? result.errors.join('; ') : null
+          },
+          $unset: { lockedBy: '', leaseExpiresAt: '' }
+        }
+      );
+
+      if (failed) {
+        console.error(`Webhook inbox item ${item._id} processed with ${result.errors.length} error(s)`);
+      }
+    } catch (error) {
+      console.error(`Error processing webhook inbox item ${item._id}:`, error);
+      await WebhookInboxItem.updateOne(
+        { _id: item._id },
+        {
+          $set: { status: 'failed', processedAt: new Date(), error: error.message },
+          $unset: { lockedBy: '', leaseExpiresAt: '' }
+        }
+      );
+    }
+  }
+
+  // Process an item again unless it is being processed or was rejected. Returns the updated item or null.
+  // options are passed to processWebhookData (e.g. { replay: true }).
+  async reprocess(id, options = {}) {
+    const item = await WebhookInboxItem.findOneAndUpdate(
+      { _id: id, status: { $nin: ['processing', 'rejected'] } },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          leaseExpiresAt: new Date(Date.now() + this.leaseMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!item) {
+      return null;
+    }
+
+    console.log(`Reprocessing webhook inbox item ${id}`);
+    await this.processItem(item, options);
+    return WebhookInboxItem.findById(id);
+  }
+
+  // Items for a stream received within a time range, oldest first
+  async findByStream(streamId, from, to) {
+    return WebhookInboxItem.find({ streamId, status: { $ne: 'rejected' }, createdAt: { $gte: from, $lte: to } })
+      .select('_id')
+      .sort({ createdAt: 1 });
+  }
+
+  async getById(id) {
+    return WebhookInboxItem.findById(id);
+  }
+
+  // Most recent items, optionally filtered by status
+  async list(status, limit = 100) {
+    const filter = status ? { status } : {};
+    return WebhookInboxItem.find(filter)
+      .select('-rawBody -headers')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  // Number of items in each status
+  async getStats() {
+    const results = await WebhookInboxItem.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = { received: 0, processing: 0, done: 0, failed: 0, rejected: 0 };
+    for (const { _id, count } of results) {
+      stats[_id] = count;
+    }
+    return stats;
+  }
+}
+
+module.exports = new WebhookInbox();
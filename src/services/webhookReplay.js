@@ -0,0 +1,103 @@
+const blockchainService = require('./blockchain');
+const confirmationService = require('./confirmations');
+const webhookInbox = require('./webhookInbox');
+require('dotenv').config();
+
+// Stream id used for payloads built from on-chain data rather than received from Moralis
+const REPLAY_STREAM_ID = 'replay';
+
+// Replays webhook payloads through processWebhookData. Replays skip the
+// "already confirmed" shortcut, so transfers a buggy run dropped are picked up
+// again and donations that failed are put back in the queue, while the donation
+// idempotency keys stop anything that was sent (or is still queued) donating twice.
+class WebhookReplay {
+  // Replay a single stored delivery
+  async replayInboxItem(id) {
+    return webhookInbox.reprocess(id, { replay: true });
+  }
+
+  // Replay every stored delivery for a stream received between two dates
+  async replayStream(streamId, from, to) {
+    const items = await webhookInbox.findByStream(streamId, from, to);
+    console.log(`Replaying ${items.length} webhook deliveries for stream ${streamId} between ${from.toISOString()} and ${to.toISOString()}`);
+
+    const results = [];
+    for (const { _id } of items) {
+      const item = await webhookInbox.reprocess(_id, { replay: true });
+      results.push(item
+        ? { id: _id, status: item.status, error: item.error }
+        : { id: _id, status: 'skipped', error: 'Currently being processed' });
+    }
+
+    return { count: items.length, results };
+  }
+
+  // Build a Moralis-style stream payload for a mined transaction
+  async buildPayloadFromTx(txHash) {
+    const provider = blockchainService.provider;
+
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(txHash),
+      provider.getTransactionReceipt(txHash)
+    ]);
+
+    if (!tx || !receipt) {
+      throw new Error(`Transaction ${txHash} not found or not mined yet`);
+    }
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${txHash} reverted`);
+    }
+
+    const [block, head] = await Promise.all([
+      provider.getBlock(receipt.blockNumber),
+      provider.getBlockNumber()
+    ]);
+
+    // Shallow transactions go through the normal confirmation policy
+    const confirmations = head - receipt.blockNumber + 1;
+
+    return {
+      streamId: REPLAY_STREAM_ID,
+      tag: REPLAY_STREAM_ID,
+      confirmed: confirmations >= confirmationService.requiredConfirmations,
+      block: {
+        number: receipt.blockNumber.toString(),
+        hash: receipt.blockHash,
+        timestamp: block.timestamp.toString()
+      },
+      logs: receipt.logs.map(log => ({
+        transactionHash: log.transactionHash,
+        logIndex: log.index.toString(),
+        address: log.address,
+        topic0: log.topics[0],
+        topic1: log.topics[1],
+        topic2: log.topics[2],
+        topic3: log.topics[3],
+        data: log.data
+      })),
+      txs: tx.to && tx.value > 0n ? [{
+        hash: tx.hash,
+        fromAddress: tx.from,
+        toAddress: tx.to,
+        value: tx.value.toString()
+      }] : []
+    };
+  }
+
+  // Build a payload for a transaction, store it in the inbox for the audit trail and process it
+  async replayTransaction(txHash) {
+    const payload = await this.buildPayloadFromTx(txHash);
+    console.log(`Replaying transaction ${txHash} (${payload.logs.length} logs, ${payload.confirmed ? 'confirmed' : 'not yet confirmed'})`);
+
+    const item = await webhookInbox.store({
+      route: `replay:tx:${txHash}`,
+      rawBody: JSON.stringify(payload),
+      body: payload
+    }, { claim: true });
+
+    await webhookInbox.processItem(item, { replay: true });
+    return webhookInbox.getById(item._id);
+  }
+}
+
+module.exports = new WebhookReplay();
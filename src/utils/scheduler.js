@@ -41,6 +41,18 @@ class Scheduler {
       'UTC'
     );
     
+    console.log(`Donation job scheduled with pattern: ${process.env.TRANSACTION_SCHEDULE || '0 * * * *'}`);
+    
+    this.startSeasonGoalJob();
+    console.log('Job scheduler started');
+  }
+
+  // The season job completes and expires seasons; the watcher runs it on its own
+  startSeasonGoalJob() {
+    if (this.seasonGoalJob) {
+      return;
+    }
+    
     // Schedule season goal check job (default to every 6 hours)
     this.seasonGoalJob = new cron.CronJob(
       process.env.SEASON_GOAL_SCHEDULE || '0 */6 * * *', 
@@ -50,9 +62,7 @@ class Scheduler {
       'UTC'
     );
     
-    console.log(`Donation job scheduled with pattern: ${process.env.TRANSACTION_SCHEDULE || '0 * * * *'}`);
     console.log(`Season goal check job scheduled with pattern: ${process.env.SEASON_GOAL_SCHEDULE || '0 */6 * * *'}`);
-    console.log('Job scheduler started');
   }
 
   stopJobs() {
@@ -63,6 +73,7 @@ class Scheduler {
     
     if (this.seasonGoalJob) {
       this.seasonGoalJob.stop();
+      this.seasonGoalJob = null;
       console.log('Season goal check job stopped');
     }
   }